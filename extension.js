@@ -1,8 +1,10 @@
 const vscode = require("vscode");
 const path = require("path");
+const { AsyncLocalStorage } = require("async_hooks");
 
 /**
- * @typedef {{ uri: string, line: number, content: string, group: string }} Bookmark
+ * @typedef {{ before: string[], after: string[] }} BookmarkAnchor
+ * @typedef {{ uri: string, line: number, content: string, group: string, label?: string, note?: string, anchor?: BookmarkAnchor, anchorLost?: boolean, orphaned?: boolean, folder?: string, path?: string, column?: number, endLine?: number, endColumn?: number, snippet?: string, tags?: string[], createdAt?: number }} Bookmark
  */
 
 const DEBUG = false;
@@ -13,478 +15,4039 @@ function debugLog(...args) {
   }
 }
 
-async function activate(context) {
-  // --- Performance optimizations ---
-  let decorationUpdateTimeout;
-  let contextUpdateTimeout;
-  const DECORATION_THROTTLE_MS = 50;
-  const CONTEXT_THROTTLE_MS = 100;
+// Two entries are the same bookmark when they share file, group and position (line, or exact range)
+function isSameBookmark(a, b) {
+  return a.uri === b.uri && a.line === b.line && a.group === b.group &&
+    a.column === b.column && a.endLine === b.endLine && a.endColumn === b.endColumn;
+}
+
+// --- Validation of imported records ---
+const HEX_COLOR = /^#(?:[0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i;
+const isLineNumber = (n) => Number.isInteger(n) && n >= 0;
+const isStringList = (list) => Array.isArray(list) && list.every(item => typeof item === "string");
+
+// Returns a clean copy of an imported bookmark, or null when the record cannot be used safely
+function sanitizeImportedBookmark(stored) {
+  if (!stored || typeof stored !== "object") return null;
+  const { uri, folder, path: relPath, line, content, group } = stored;
+  if (typeof uri !== "string" && typeof relPath !== "string") return null;
+  if (!isLineNumber(line) || typeof group !== "string" || !group) return null;
   
-  // Cache frequently accessed data
-  let bookmarksCache = null;
-  let groupsCache = null;
-  let activeGroupCache = null;
-  let configCache = null;
+  const clean = { line, content: typeof content === "string" ? content : "", group };
+  if (typeof uri === "string") clean.uri = uri;
+  if (typeof relPath === "string") {
+    clean.path = relPath;
+    if (typeof folder === "string") clean.folder = folder;
+  }
   
-  // Track dirty state to avoid unnecessary operations
-  let isDirtyBookmarks = true;
-  let isDirtyGroups = true;
-  let isDirtyConfig = true;
+  if (stored.endLine !== undefined) {
+    const { column, endLine, endColumn } = stored;
+    if (![column, endLine, endColumn].every(isLineNumber)) return null;
+    if (endLine < line || (endLine === line && endColumn < column)) return null;
+    Object.assign(clean, { column, endLine, endColumn });
+    if (typeof stored.snippet === "string") clean.snippet = stored.snippet;
+  }
+  
+  if (typeof stored.label === "string" && stored.label) clean.label = stored.label;
+  if (typeof stored.note === "string" && stored.note) clean.note = stored.note;
+  if (Array.isArray(stored.tags)) {
+    const tags = stored.tags.filter(tag => typeof tag === "string" && tag);
+    if (tags.length) clean.tags = tags;
+  }
+  if (Number.isFinite(stored.createdAt)) clean.createdAt = stored.createdAt;
+  if (stored.anchor && isStringList(stored.anchor.before) && isStringList(stored.anchor.after)) {
+    clean.anchor = { before: stored.anchor.before, after: stored.anchor.after };
+  }
+  if (stored.anchorLost === true) clean.anchorLost = true;
+  if (stored.orphaned === true) clean.orphaned = true;
+  return clean;
+}
 
-  // --- Optimized State helpers ---
-  const getBookmarks = () => {
-    if (isDirtyBookmarks || !bookmarksCache) {
-      bookmarksCache = context.workspaceState.get("bookmarks", []);
-      isDirtyBookmarks = false;
+// --- Global scope ---
+// Groups under this root are stored in globalState and shared by every window
+const GLOBAL_ROOT = "Global";
+const GLOBAL_ROOT_COLOR = "#b3e5fc";
+const isGlobalGroup = (group) => group === GLOBAL_ROOT || group.startsWith(GLOBAL_ROOT + "/");
+
+// Three-way merge of a global list (or map) that another window changed since this one read
+// `base`: keeps our order and our changes, drops what the other window removed and adds what it
+// added. Entries are compared as JSON, so a changed entry counts as removed plus added.
+function mergeConcurrentChanges(base, ours, theirs) {
+  if (!Array.isArray(ours)) {
+    const entries = mergeConcurrentChanges(Object.entries(base || {}), Object.entries(ours), Object.entries(theirs || {}));
+    const merged = {};
+    for (const [name, value] of entries) {
+      if (!Object.hasOwn(merged, name)) merged[name] = value; // Ours come first and win a clash
     }
-    return bookmarksCache;
-  };
+    return merged;
+  }
+  const key = (entry) => JSON.stringify(entry);
+  const inBase = new Set((base || []).map(key));
+  const inOurs = new Set(ours.map(key));
+  const inTheirs = new Set((theirs || []).map(key));
+  return [
+    ...ours.filter(entry => !inBase.has(key(entry)) || inTheirs.has(key(entry))),
+    ...(theirs || []).filter(entry => !inBase.has(key(entry)) && !inOurs.has(key(entry)))
+  ];
+}
+
+// --- Storage schema ---
+// Stored state and export files carry the schema version they were written with: the
+// `bookmarkSchemaVersion` key in workspaceState, and a top-level `version` in the shared
+// bookmarks file and in exports. Data without one predates versioning and is version 0.
+const SCHEMA_VERSION = 2;
+const FALLBACK_GROUP = "Default";
+const FALLBACK_GROUP_COLOR = "#fff59d";
+
+// Each step upgrades state written with the previous version. State is a plain object with
+// `bookmarks`, `bookmarkGroups` and `bookmarkGroupOrder`; other keys pass through untouched.
+// A step throws when the data is too damaged to upgrade.
+const MIGRATIONS = [
+  { version: 1, migrate: migrateUnversionedState },
+  { version: 2, migrate: renameWorkspaceGlobalGroups }
+];
+
+function schemaVersionOf(envelope) {
+  return envelope && envelope.version !== undefined ? envelope.version : 0;
+}
+
+function migrateState(state, fromVersion) {
+  if (!Number.isInteger(fromVersion) || fromVersion < 0) {
+    throw new Error(`Unknown schema version ${JSON.stringify(fromVersion)}`);
+  }
+  if (fromVersion > SCHEMA_VERSION) {
+    throw new Error(`Written by a newer version of the extension (schema ${fromVersion}, this one reads up to ${SCHEMA_VERSION})`);
+  }
+  let result = state;
+  for (const step of MIGRATIONS) {
+    if (step.version > fromVersion) result = step.migrate(result);
+  }
+  return result;
+}
+
+// Version 1 keeps the unversioned layout but guarantees what the rest of the code relies on:
+// every bookmark has a location, content and an existing group (parents included), and the
+// group order lists every group exactly once.
+function migrateUnversionedState(state) {
+  if (!state || typeof state !== "object") throw new Error("The saved state is not an object");
+  const { bookmarks = [], bookmarkGroups = {}, bookmarkGroupOrder = [] } = state;
+  if (!Array.isArray(bookmarks)) throw new Error("bookmarks is not a list");
+  if (!bookmarkGroups || typeof bookmarkGroups !== "object" || Array.isArray(bookmarkGroups)) {
+    throw new Error("bookmarkGroups is not an object");
+  }
+  if (!Array.isArray(bookmarkGroupOrder)) throw new Error("bookmarkGroupOrder is not a list");
   
-  const saveBookmarks = async (bms) => {
-    bookmarksCache = bms;
-    isDirtyBookmarks = false;
-    return context.workspaceState.update("bookmarks", bms);
-  };
+  const migrated = [];
+  for (const stored of bookmarks) {
+    // Entries without a location could never be shown or opened
+    if (!stored || typeof stored !== "object" || !isLineNumber(stored.line)) continue;
+    if (typeof stored.uri !== "string" && typeof stored.path !== "string") continue;
+    
+    const bm = { ...stored };
+    if (typeof bm.content !== "string") bm.content = "";
+    if (typeof bm.group !== "string" || !bm.group) bm.group = FALLBACK_GROUP;
+    // A half-written range falls back to a line bookmark
+    if (bm.endLine !== undefined && ![bm.column, bm.endLine, bm.endColumn].every(isLineNumber)) {
+      delete bm.column;
+      delete bm.endLine;
+      delete bm.endColumn;
+      delete bm.snippet;
+    }
+    if (bm.tags !== undefined) {
+      const tags = Array.isArray(bm.tags) ? [...new Set(bm.tags.filter(tag => typeof tag === "string" && tag))] : [];
+      if (tags.length) {
+        bm.tags = tags;
+      } else {
+        delete bm.tags;
+      }
+    }
+    migrated.push(bm);
+  }
   
-  const getGroups = () => {
-    if (isDirtyGroups || !groupsCache) {
-      groupsCache = context.workspaceState.get("bookmarkGroups", {});
-      isDirtyGroups = false;
+  const groups = {};
+  for (const [name, color] of Object.entries(bookmarkGroups)) {
+    groups[name] = typeof color === "string" ? color : FALLBACK_GROUP_COLOR;
+  }
+  for (const name of [...Object.keys(groups), ...migrated.map(b => b.group)]) {
+    const parts = name.split("/");
+    for (let i = 1; i <= parts.length; i++) {
+      const groupPath = parts.slice(0, i).join("/");
+      if (!groups[groupPath]) groups[groupPath] = FALLBACK_GROUP_COLOR;
     }
-    return groupsCache;
-  };
+  }
   
-  const saveGroups = async (groups) => {
-    groupsCache = groups;
-    isDirtyGroups = false;
-    return context.workspaceState.update("bookmarkGroups", groups);
-  };
+  const order = [...new Set(bookmarkGroupOrder.filter(name => name in groups))];
+  for (const name of Object.keys(groups)) {
+    if (!order.includes(name)) order.push(name);
+  }
   
-  const getActiveGroup = () => {
-    if (!activeGroupCache) {
-      activeGroupCache = context.workspaceState.get("activeBookmarkGroup");
-    }
-    return activeGroupCache;
+  return { ...state, bookmarks: migrated, bookmarkGroups: groups, bookmarkGroupOrder: order };
+}
+
+// Version 2 reserves the "Global" group for the scope shared by all workspaces. A workspace
+// group that already had that name (and its sub-groups) becomes "Global (Workspace)".
+const RENAMED_GLOBAL_GROUP = `${GLOBAL_ROOT} (Workspace)`;
+
+function renameWorkspaceGlobalGroups(state) {
+  const rename = (group) => typeof group === "string" && isGlobalGroup(group)
+    ? RENAMED_GLOBAL_GROUP + group.slice(GLOBAL_ROOT.length)
+    : group;
+  const result = {
+    ...state,
+    bookmarks: state.bookmarks.map(bm => isGlobalGroup(bm.group) ? { ...bm, group: rename(bm.group) } : bm),
+    bookmarkGroups: Object.fromEntries(Object.entries(state.bookmarkGroups).map(([name, color]) => [rename(name), color])),
+    bookmarkGroupOrder: state.bookmarkGroupOrder.map(rename)
   };
+  // Exports also carry the active and hidden groups
+  if (state.activeBookmarkGroup !== undefined) result.activeBookmarkGroup = rename(state.activeBookmarkGroup);
+  if (Array.isArray(state.hiddenBookmarkGroups)) result.hiddenBookmarkGroups = state.hiddenBookmarkGroups.map(rename);
+  return result;
+}
+
+// --- Range bookmarks (start `line`/`column` to `endLine`/`endColumn`) ---
+const SNIPPET_MAX_LENGTH = 80;
+
+const isRangeBookmark = (bm) => bm.endLine !== undefined;
+
+function bookmarkRange(bm) {
+  return isRangeBookmark(bm) ? new vscode.Range(bm.line, bm.column, bm.endLine, bm.endColumn) : undefined;
+}
+
+function describePosition(bm) {
+  return isRangeBookmark(bm)
+    ? `Ln ${bm.line + 1}, Col ${bm.column + 1} – Ln ${bm.endLine + 1}, Col ${bm.endColumn + 1}`
+    : `Line ${bm.line + 1}`;
+}
+
+function makeSnippet(text) {
+  const flat = text.replace(/\s+/g, " ").trim();
+  return flat.length > SNIPPET_MAX_LENGTH ? `${flat.slice(0, SNIPPET_MAX_LENGTH - 1)}…` : flat;
+}
+
+// Maps a position through one text change the way the editor moves a cursor.
+// Positions inside the replaced text snap to the start (or end) of the replacement.
+function shiftPosition(line, character, change, snapToStart) {
+  const { start, end } = change.range;
+  if (line < start.line || (line === start.line && character < start.character)) {
+    return { line, character };
+  }
   
-  const setActiveGroup = async (name) => {
-    activeGroupCache = name;
-    activeGroup = name;
-    return context.workspaceState.update("activeBookmarkGroup", name);
-  };
+  const inserted = change.text.split("\n");
+  const newEndLine = start.line + inserted.length - 1;
+  const newEndCharacter = inserted.length === 1
+    ? start.character + change.text.length
+    : inserted[inserted.length - 1].length;
+  
+  if (line > end.line || (line === end.line && character >= end.character)) {
+    return line === end.line
+      ? { line: newEndLine, character: newEndCharacter + (character - end.character) }
+      : { line: line + newEndLine - end.line, character };
+  }
+  return snapToStart
+    ? { line: start.line, character: start.character }
+    : { line: newEndLine, character: newEndCharacter };
+}
 
-  const getGroupOrder = () => {
-    let order = context.workspaceState.get("bookmarkGroupOrder", []);
-    const groups = getGroups();
-    const groupNames = Object.keys(groups);
-    
-    order = order.filter(name => groupNames.includes(name));
-    for (const name of groupNames) {
-      if (!order.includes(name)) {
-        order.push(name);
-      }
+// Moves a bookmark through one text change. Returns true when it moved.
+function shiftBookmark(bm, change) {
+  if (isRangeBookmark(bm)) {
+    // Range bookmarks track both ends, columns included, even for same-line edits
+    const start = shiftPosition(bm.line, bm.column, change, true);
+    const end = shiftPosition(bm.endLine, bm.endColumn, change, false);
+    if (start.line === bm.line && start.character === bm.column &&
+        end.line === bm.endLine && end.character === bm.endColumn) {
+      return false;
     }
-    return order;
-  };
+    bm.line = start.line;
+    bm.column = start.character;
+    bm.endLine = end.line;
+    bm.endColumn = end.character;
+    return true;
+  }
+  
+  const startLine = change.range.start.line;
+  const endLine = change.range.end.line;
+  const delta = change.text.split("\n").length - (endLine - startLine + 1);
+  if (delta === 0) return false;
+  if (startLine < bm.line) {
+    // The change is above the bookmark, so shift it
+    bm.line = Math.max(0, bm.line + delta);
+    return true;
+  }
+  if (startLine <= bm.line && bm.line <= endLine) {
+    // The change directly overlaps/contains the bookmarked line.
+    // Snap bookmark to startLine of deletion/modification range.
+    bm.line = startLine;
+    return true;
+  }
+  return false;
+}
 
-  const saveGroupOrder = async (order) => {
-    return context.workspaceState.update("bookmarkGroupOrder", order);
-  };
+// Marks keep a cursor position, so edits before them on the same line move their column too
+function shiftMark(mark, change) {
+  const column = mark.column || 0;
+  const { line, character } = shiftPosition(mark.line, column, change, true);
+  if (line === mark.line && character === column) return false;
+  mark.line = line;
+  mark.column = character;
+  return true;
+}
 
-  const getHiddenGroups = () => {
-    return context.workspaceState.get("hiddenBookmarkGroups", []);
-  };
+// --- Anchor fingerprints (line content + surrounding lines) ---
+const ANCHOR_CONTEXT_LINES = 2;
+const FUZZY_MATCH_THRESHOLD = 0.6;
 
-  const saveHiddenGroups = async (hiddenGroups) => {
-    return context.workspaceState.update("hiddenBookmarkGroups", hiddenGroups);
-  };
+function captureAnchor(getLine, lineCount, line) {
+  const before = [];
+  const after = [];
+  for (let i = Math.max(0, line - ANCHOR_CONTEXT_LINES); i < line; i++) {
+    before.push(getLine(i).trim());
+  }
+  for (let i = line + 1; i <= Math.min(lineCount - 1, line + ANCHOR_CONTEXT_LINES); i++) {
+    after.push(getLine(i).trim());
+  }
+  return { before, after };
+}
 
-  const decorationTypes = new Map();
-  let activeGroup;
+function sameAnchor(a, b) {
+  return !!a && !!b &&
+    a.before.join("\n") === b.before.join("\n") &&
+    a.after.join("\n") === b.after.join("\n");
+}
 
-  // --- Optimized Config helper with caching ---
-  function getConfig() {
-    if (isDirtyConfig || !configCache) {
-      const config = vscode.workspace.getConfiguration("bookmarkExtension");
-      configCache = {
-        userGroupColors: config.get("groupColors", {}),
-        defaultColors: config.get("defaultColors", ["#fff59d"]),
-        opacity: config.get("opacity", 0.3),
-        scrollAnimation: config.get("scrollAnimation", "all"),
-        flashHighlight: config.get("flashHighlight", true),
-        allowCrossFileJump: config.get("allowCrossFileJump", true),
-        showBookmarkIconInTree: config.get("showBookmarkIconInTree", false)
-      };
-      isDirtyConfig = false;
+// Dice coefficient over character bigrams, 1 = identical, 0 = nothing in common
+function similarity(a, b) {
+  if (a === b) return 1;
+  if (a.length < 2 || b.length < 2) return 0;
+  const bigrams = new Map();
+  for (let i = 0; i < a.length - 1; i++) {
+    const bg = a.slice(i, i + 2);
+    bigrams.set(bg, (bigrams.get(bg) || 0) + 1);
+  }
+  let overlap = 0;
+  for (let i = 0; i < b.length - 1; i++) {
+    const bg = b.slice(i, i + 2);
+    const count = bigrams.get(bg);
+    if (count) {
+      bigrams.set(bg, count - 1);
+      overlap++;
     }
-    return configCache;
   }
+  return (2 * overlap) / (a.length + b.length - 2);
+}
 
-  // --- Optimized Color helpers (memoized) ---
-  const colorCache = new Map();
+function contextScore(getLine, lineCount, line, anchor, compare) {
+  if (!anchor) return 0;
+  let score = 0;
+  let total = 0;
+  anchor.before.forEach((text, i) => {
+    const at = line - anchor.before.length + i;
+    total++;
+    if (at >= 0) score += compare(getLine(at).trim(), text);
+  });
+  anchor.after.forEach((text, i) => {
+    const at = line + 1 + i;
+    total++;
+    if (at < lineCount) score += compare(getLine(at).trim(), text);
+  });
+  return total ? score / total : 0;
+}
+
+/**
+ * Finds where a bookmark's fingerprint now lives in a document.
+ * Exact content matches win (best surrounding context, then nearest to the old line);
+ * otherwise the most similar line above FUZZY_MATCH_THRESHOLD is used.
+ * @returns {{ line: number, exact: boolean } | null} null when the anchor is lost
+ */
+function locateAnchor(getLine, lineCount, bookmark) {
+  const text = bookmark.content;
+  const exactCompare = (a, b) => (a === b ? 1 : 0);
   
-  function hslToHex(h, s, l) {
-    const key = `${h}-${s}-${l}`;
-    if (colorCache.has(key)) return colorCache.get(key);
-    
-    s /= 100;
-    l /= 100;
-    const k = (n) => (n + h / 30) % 12;
-    const a = s * Math.min(l, 1 - l);
-    const f = (n) => {
-      const x = l - a * Math.max(-1, Math.min(k(n) - 3, Math.min(9 - k(n), 1)));
-      return Math.round(255 * x);
-    };
-    const toHex = (v) => v.toString(16).padStart(2, "0");
-    const result = `#${toHex(f(0))}${toHex(f(8))}${toHex(f(4))}`;
-    
-    colorCache.set(key, result);
-    return result;
+  let best = null;
+  for (let i = 0; i < lineCount; i++) {
+    if (getLine(i).trim() !== text) continue;
+    const score = contextScore(getLine, lineCount, i, bookmark.anchor, exactCompare);
+    const distance = Math.abs(i - bookmark.line);
+    if (!best || score > best.score || (score === best.score && distance < best.distance)) {
+      best = { line: i, score, distance };
+    }
+  }
+  if (best) return { line: best.line, exact: true };
+  
+  if (!text) return null;
+  
+  for (let i = 0; i < lineCount; i++) {
+    const textScore = similarity(getLine(i).trim(), text);
+    if (textScore < FUZZY_MATCH_THRESHOLD / 2) continue;
+    const score = bookmark.anchor
+      ? textScore * 0.7 + contextScore(getLine, lineCount, i, bookmark.anchor, similarity) * 0.3
+      : textScore;
+    const distance = Math.abs(i - bookmark.line);
+    if (!best || score > best.score || (score === best.score && distance < best.distance)) {
+      best = { line: i, score, distance };
+    }
   }
+  return best && best.score >= FUZZY_MATCH_THRESHOLD ? { line: best.line, exact: false } : null;
+}
 
-  const alphaCache = new Map();
-  function withAlpha(hex, alpha) {
-    const key = `${hex}-${alpha}`;
-    if (alphaCache.has(key)) return alphaCache.get(key);
-    
-    const clean = hex.replace("#", "");
-    const a = Math.round(alpha * 255).toString(16).padStart(2, "0");
-    const result = `#${clean}${a}`;
-    
-    alphaCache.set(key, result);
-    return result;
+// "5 min ago", "3 days ago", ...
+function formatAge(timestamp, now = Date.now()) {
+  const minutes = Math.floor((now - timestamp) / 60000);
+  if (minutes < 1) return "just now";
+  if (minutes < 60) return `${minutes} min ago`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours} h ago`;
+  const days = Math.floor(hours / 24);
+  return `${days} day${days === 1 ? "" : "s"} ago`;
+}
+
+// --- Indexed bookmark store ---
+const NO_BOOKMARKS = Object.freeze([]);
+
+function addToIndex(index, key, bm) {
+  const list = index.get(key);
+  if (list) {
+    list.push(bm);
+  } else {
+    index.set(key, [bm]);
   }
+}
 
-  // --- Optimized Decorations ---
-  const iconCache = new Map();
+/**
+ * The bookmarks in their stored order, with lookups by file, by group and by (file, line), so
+ * work done on every keystroke (decorations, the cursor context, the edit handler) does not
+ * scan all of them. Bookmarks are changed in place throughout the extension: after moving the
+ * bookmarks of one file call reindexFile(), after any other change reset() with the whole list.
+ */
+class BookmarkStore {
+  constructor(bookmarks = []) {
+    this.reset(bookmarks);
+  }
+
+  reset(bookmarks) {
+    this.bookmarks = bookmarks;
+    this.byUri = new Map();
+    this.byGroup = new Map();
+    this.byLine = new Map();
+    for (const bm of bookmarks) {
+      addToIndex(this.byUri, bm.uri, bm);
+      addToIndex(this.byGroup, bm.group, bm);
+    }
+    for (const uri of this.byUri.keys()) {
+      this.reindexFile(uri);
+    }
+  }
+
+  // The lists below are in stored order and belong to the store; copy them before changing them
+  inFile(uri) {
+    return this.byUri.get(uri) || NO_BOOKMARKS;
+  }
+
+  inGroup(group) {
+    return this.byGroup.get(group) || NO_BOOKMARKS;
+  }
+
+  // Bookmarks starting on `line`
+  atLine(uri, line) {
+    return this.byLine.get(uri)?.get(line) || NO_BOOKMARKS;
+  }
+
+  reindexFile(uri) {
+    const lines = new Map();
+    for (const bm of this.inFile(uri)) {
+      addToIndex(lines, bm.line, bm);
+    }
+    if (lines.size) {
+      this.byLine.set(uri, lines);
+    } else {
+      this.byLine.delete(uri);
+    }
+  }
+}
+
+// Same as isSameBookmark for bookmarks of one file
+const spotKey = (bm) => `${bm.line}:${bm.column}:${bm.endLine}:${bm.endColumn}:${bm.group}`;
+
+/**
+ * Brings the bookmarks of a document up to date after an edit: shifts them with the changes and
+ * refreshes their content, anchor and snippet. Only that document's bookmarks are looked at, so
+ * the cost of a keystroke does not grow with the number of bookmarks elsewhere.
+ * Bookmarks past the end of the document and a second bookmark on the same spot of a group are
+ * returned as dropped instead of changed.
+ * @param {Bookmark[]} inDoc the document's bookmarks, in stored order
+ * @returns {{ changed: Bookmark[], outOfBounds: Bookmark[], duplicate: Bookmark[] }}
+ */
+function updateBookmarksForEdit(inDoc, changes, doc) {
+  const changed = new Set();
+  for (const change of changes) {
+    for (const bm of inDoc) {
+      if (shiftBookmark(bm, change)) changed.add(bm);
+    }
+  }
   
-  function makeIconUri(color) {
-    const activeColor = color || "#fff59d";
-    if (iconCache.has(activeColor)) return iconCache.get(activeColor);
-    
-    const svg = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" width="16" height="16"><path fill="${activeColor}" d="M6 4C4.895 4 4 4.895 4 6V20L12 16L20 20V6C20 4.895 19.105 4 18 4H6Z"/></svg>`;
-    const uri = vscode.Uri.parse(`data:image/svg+xml;utf8,${encodeURIComponent(svg)}`);
-    
-    iconCache.set(activeColor, uri);
-    return uri;
+  const lineCount = doc.lineCount;
+  const seen = new Set();
+  const result = { changed: [], outOfBounds: [], duplicate: [] };
+  for (const bm of inDoc) {
+    if (bm.line >= lineCount) {
+      result.outOfBounds.push(bm);
+      continue;
+    }
+    // Flagged bookmarks keep their old fingerprint so a later re-anchor can still find it
+    if (!bm.anchorLost) {
+      const currentText = doc.lineAt(bm.line).text.trim();
+      if (bm.content !== currentText) {
+        bm.content = currentText;
+        changed.add(bm);
+      }
+      const anchor = captureAnchor((i) => doc.lineAt(i).text, lineCount, bm.line);
+      if (!sameAnchor(bm.anchor, anchor)) {
+        bm.anchor = anchor;
+        changed.add(bm);
+      }
+      if (isRangeBookmark(bm)) {
+        const snippet = makeSnippet(doc.getText(doc.validateRange(bookmarkRange(bm))));
+        if (bm.snippet !== snippet) {
+          bm.snippet = snippet;
+          changed.add(bm);
+        }
+      }
+    }
+    const key = spotKey(bm);
+    if (seen.has(key)) {
+      result.duplicate.push(bm);
+      continue;
+    }
+    seen.add(key);
+    if (changed.has(bm)) result.changed.push(bm);
   }
+  return result;
+}
 
-  function ensureDecorationForGroup(grp, forceRefresh = false) {
-    const { opacity } = getConfig();
-    let groups = getGroups();
+// --- Deferred workspace state ---
+// VS Code's Memento hands out the objects it stores, and every update writes the extension's
+// whole state, whichever key changed. So the values handed out here are copies that only reach
+// the store when saved, and saves made while typing (updateLater) wait for a pause in updates
+// and are then written once.
+function createDeferredState(memento, delay) {
+  const copy = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+  const pending = new Map();
+  let timeout = null;
+  
+  const state = {
+    get(key, fallback) {
+      if (pending.has(key)) return pending.get(key);
+      const value = copy(memento.get(key));
+      return value === undefined ? fallback : value;
+    },
     
-    let color = groups[grp];
-    if (!color) {
-      color = hslToHex(Math.random() * 360, 70, 80);
-      groups[grp] = color;
-      saveGroups(groups);
+    update(key, value) {
+      pending.delete(key);
+      return memento.update(key, copy(value));
+    },
+    
+    updateLater(key, value) {
+      pending.set(key, value);
+      if (timeout) clearTimeout(timeout);
+      timeout = setTimeout(() => {
+        state.flush().catch(err => vscode.window.showErrorMessage(`Failed to save bookmarks: ${err.message}`));
+      }, delay);
+    },
+    
+    async flush() {
+      if (timeout) {
+        clearTimeout(timeout);
+        timeout = null;
+      }
+      const writes = [...pending];
+      pending.clear();
+      for (const [key, value] of writes) {
+        await memento.update(key, copy(value));
+      }
     }
+  };
+  return state;
+}
 
-    if (forceRefresh || !decorationTypes.has(grp)) {
-      const existing = decorationTypes.get(grp);
-      if (existing) existing.dispose();
-      
-      decorationTypes.set(grp, vscode.window.createTextEditorDecorationType({
-        isWholeLine: true,
-        backgroundColor: withAlpha(color, opacity),
-        gutterIconPath: makeIconUri(color),
-        gutterIconSize: "contain",
-      }));
+// --- Shared bookmarks file ---
+// Visit times and the re-anchoring state (anchor, anchorLost, orphaned) describe this machine's
+// copy of the files, so they are kept out of the shared file and saved in workspace state, by
+// the bookmark's stored location and creation time. Bookmarks with the same id are told apart
+// by their order in the file.
+const LOCAL_FIELDS = ["visitedAt", "anchor", "anchorLost", "orphaned"];
+const LOCAL_FIELDS_KEY = "bookmarkFileLocalFields";
+
+function localFieldsId(stored) {
+  return JSON.stringify([stored.folder ?? null, stored.path ?? stored.uri, stored.createdAt ?? null]);
+}
+
+// `workspace` supplies the extension's side: `localState` for the local fields,
+// `toPortable`/`fromPortable` to convert bookmarks, and `writeDelay` for batching writes.
+function createFileBackend(folderUri, relativePath, workspace) {
+  const fs = require("fs");
+  const fileUri = vscode.Uri.joinPath(folderUri, relativePath);
+  let data = {};
+  let lastText = null;
+  let lastLocalText = JSON.stringify(workspace.localState.get(LOCAL_FIELDS_KEY, {}));
+  let writeTimeout = null;
+
+  // Bookmarks are stored with folder-relative paths so the file can be shared. Entries for
+  // folders that are not open in this window are kept aside, with their local fields, and
+  // written back untouched.
+  let unresolved = [];
+
+  // Returns the entries for the file and, by id, each entry's local fields (null when it has none)
+  const toStored = (bookmarks) => {
+    const entries = [];
+    const local = {};
+    const add = (shared, fields) => {
+      entries.push(shared);
+      const id = localFieldsId(shared);
+      (local[id] = local[id] || []).push(fields);
+    };
+    for (const bm of bookmarks) {
+      const shared = workspace.toPortable(bm);
+      let fields = null;
+      for (const field of LOCAL_FIELDS) {
+        if (shared[field] === undefined) continue;
+        fields = { ...fields, [field]: shared[field] };
+        delete shared[field];
+      }
+      add(shared, fields);
+    }
+    unresolved.forEach(({ stored, fields }) => add(stored, fields));
+    for (const id of Object.keys(local)) {
+      if (local[id].every(fields => fields === null)) delete local[id];
+    }
+    return { entries, local };
+  };
+
+  const fromStored = (bookmarks) => {
+    const local = workspace.localState.get(LOCAL_FIELDS_KEY, {});
+    const seen = new Map();
+    unresolved = [];
+    const resolved = [];
+    for (const stored of bookmarks) {
+      const id = localFieldsId(stored);
+      const occurrence = seen.get(id) || 0;
+      seen.set(id, occurrence + 1);
+      const fields = local[id]?.[occurrence] || null;
+      const bm = workspace.fromPortable(stored);
+      if (bm) {
+        resolved.push(Object.assign(bm, fields));
+      } else {
+        unresolved.push({ stored, fields });
+      }
+    }
+    return resolved;
+  };
+
+  function flush() {
+    if (writeTimeout) {
+      clearTimeout(writeTimeout);
+      writeTimeout = null;
+    }
+    const { entries, local } = toStored(data.bookmarks || []);
+    const localText = JSON.stringify(local);
+    if (localText !== lastLocalText) {
+      workspace.localState.update(LOCAL_FIELDS_KEY, local);
+      lastLocalText = localText;
+    }
+    const text = JSON.stringify({
+      version: SCHEMA_VERSION,
+      bookmarkGroups: data.bookmarkGroups || {},
+      bookmarkGroupOrder: data.bookmarkGroupOrder || [],
+      bookmarks: entries
+    }, null, 2) + "\n";
+    if (text === lastText) return;
+    fs.mkdirSync(path.dirname(fileUri.fsPath), { recursive: true });
+    fs.writeFileSync(fileUri.fsPath, text);
+    lastText = text;
+  }
+
+  return {
+    fileUri,
+    exists: () => fs.existsSync(fileUri.fsPath),
+    get: (key, fallback) => (data[key] !== undefined ? data[key] : fallback),
+    update: async (key, value) => {
+      data[key] = value;
+      if (writeTimeout) clearTimeout(writeTimeout);
+      writeTimeout = setTimeout(() => {
+        try {
+          flush();
+        } catch (err) {
+          vscode.window.showErrorMessage(`Failed to write ${relativePath}: ${err.message}`);
+        }
+      }, workspace.writeDelay);
+    },
+    // Returns true when the file differs from what was last read or written
+    reload: () => {
+      const text = fs.readFileSync(fileUri.fsPath, "utf8");
+      if (text === lastText) return false;
+      // An older file is upgraded in memory and written in the new layout on the next change.
+      // A file that cannot be upgraded is left untouched and the caller falls back to workspace state.
+      const parsed = JSON.parse(text);
+      const json = migrateState(parsed, schemaVersionOf(parsed));
+      data = {
+        bookmarks: fromStored(Array.isArray(json.bookmarks) ? json.bookmarks : []),
+        bookmarkGroups: json.bookmarkGroups || {},
+        bookmarkGroupOrder: json.bookmarkGroupOrder || []
+      };
+      lastText = text;
+      return true;
+    },
+    flush
+  };
+}
+
+// --- Document edits ---
+// Moves the bookmarks of an edited document along with its text. `workspace` supplies the
+// extension's state; activate() passes its `editTarget`.
+async function applyDocumentEdit(event, workspace) {
+  const changes = event.contentChanges;
+  const doc = event.document;
+  if (!changes.length || workspace.ignores(doc)) return;
+  
+  await workspace.shiftPositions(doc, changes);
+  
+  const uri = doc.uri.toString();
+  const inDoc = [...workspace.index().inFile(uri)];
+  if (!inDoc.length) return;
+  const { changed, outOfBounds, duplicate } = updateBookmarksForEdit(inDoc, changes, doc);
+  
+  if (outOfBounds.length || duplicate.length) {
+    await workspace.dropBookmarks(outOfBounds, duplicate);
+  } else if (changed.length) {
+    await workspace.saveChanges(uri, changed);
+  } else {
+    return;
+  }
+  workspace.refresh();
+}
+
+// --- Undo history entries ---
+// An undo entry lists, per state key, the entries an operation removed and added (as JSON text
+// with their index), not whole copies of the state. Maps are diffed as [name, value] pairs and
+// single values as one-entry lists.
+const HISTORY_MAP_KEYS = ["bookmarkGroups"];
+const HISTORY_VALUE_KEYS = ["activeBookmarkGroup"];
+
+function toEntryTexts(key, value) {
+  if (HISTORY_MAP_KEYS.includes(key)) return Object.entries(value || {}).map(entry => JSON.stringify(entry));
+  if (HISTORY_VALUE_KEYS.includes(key)) return [JSON.stringify(value ?? null)];
+  return (value || []).map(entry => JSON.stringify(entry));
+}
+
+function fromEntryTexts(key, texts) {
+  const entries = texts.map(text => JSON.parse(text));
+  if (HISTORY_MAP_KEYS.includes(key)) return Object.fromEntries(entries);
+  if (HISTORY_VALUE_KEYS.includes(key)) return entries[entries.length - 1] ?? undefined;
+  return entries;
+}
+
+// Entries only in `before` and only in `after`, each with its index in that list
+function diffEntryTexts(before, after) {
+  const unmatched = (list, other) => {
+    const counts = new Map();
+    for (const text of other) counts.set(text, (counts.get(text) || 0) + 1);
+    const result = [];
+    list.forEach((text, index) => {
+      if (counts.get(text)) counts.set(text, counts.get(text) - 1);
+      else result.push([index, text]);
+    });
+    return result;
+  };
+  return { removed: unmatched(before, after), added: unmatched(after, before) };
+}
+
+// A bookmark that was shifted or re-anchored since it was recorded is still the same bookmark
+function historyIdentity(key, text) {
+  if (key !== "bookmarks") return text;
+  const bm = JSON.parse(text);
+  return JSON.stringify([bm.uri, bm.group, bm.createdAt ?? null, bm.label ?? null]);
+}
+
+// Takes the `added` entries out of `current` and puts the `removed` ones back, leaving alone
+// whatever else changed since. Swap the two to redo.
+function revertEntryTexts(key, current, { removed, added }) {
+  const result = [...current];
+  for (const [index, text] of [...added].reverse()) {
+    let at = result[index] === text ? index : result.indexOf(text);
+    if (at === -1) {
+      const identity = historyIdentity(key, text);
+      at = result.findIndex(other => historyIdentity(key, other) === identity);
+    }
+    if (at !== -1) result.splice(at, 1);
+  }
+  for (const [index, text] of removed) {
+    result.splice(Math.min(index, result.length), 0, text);
+  }
+  return result;
+}
+
+// --- Report formatting (Markdown / CSV / HTML exports) ---
+const EXPORT_CONTEXT_LINES = 2;
+
+// Spreadsheets run cells starting with these as formulas, so they get a leading apostrophe
+const CSV_FORMULA_START = /^[=+\-@\t\r]/;
+
+function escapeCsv(value) {
+  let text = value === undefined || value === null ? "" : String(value);
+  if (CSV_FORMULA_START.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// Longest backtick run in the code + 1, so snippets containing ``` still render
+function codeFence(code) {
+  const runs = code.match(/`+/g) || [];
+  return "`".repeat(Math.max(3, ...runs.map(r => r.length + 1)));
+}
+
+const HIGHLIGHT_KEYWORDS = new Set([
+  "async", "await", "break", "case", "catch", "class", "const", "continue", "def", "default", "delete",
+  "do", "elif", "else", "enum", "export", "extends", "false", "finally", "fn", "for", "from", "func",
+  "function", "if", "import", "in", "instanceof", "interface", "let", "new", "null", "of", "package",
+  "private", "protected", "public", "return", "self", "static", "struct", "super", "switch", "this",
+  "throw", "true", "try", "type", "typeof", "undefined", "var", "void", "while", "with", "yield"
+]);
+
+// File extensions of languages whose comments start with `#`; everything else gets C-style comments
+const HASH_COMMENT_LANGUAGES = new Set([
+  "bash", "cmake", "coffee", "fish", "pl", "pm", "ps1", "py", "r", "rb", "sh", "tf", "toml", "yaml", "yml", "zsh"
+]);
+// Comments, strings, numbers and words, with the comment syntax of each family
+const HIGHLIGHT_TOKENS = {
+  hash: /(#[^\n]*)|("(?:\\.|[^"\\\n])*"|'(?:\\.|[^'\\\n])*'|`(?:\\.|[^`\\])*`)|(\b\d[\d_.]*\b)|([A-Za-z_$][\w$]*)/g,
+  c: /(\/\/[^\n]*|\/\*[\s\S]*?\*\/)|("(?:\\.|[^"\\\n])*"|'(?:\\.|[^'\\\n])*'|`(?:\\.|[^`\\])*`)|(\b\d[\d_.]*\b)|([A-Za-z_$][\w$]*)/g
+};
+
+// A small highlighter for comments, strings, numbers and common keywords. `language` is the file extension.
+function highlightCode(code, language) {
+  const token = HIGHLIGHT_TOKENS[HASH_COMMENT_LANGUAGES.has(language.toLowerCase()) ? "hash" : "c"];
+  token.lastIndex = 0;
+  let html = "";
+  let last = 0;
+  let match;
+  while ((match = token.exec(code))) {
+    html += escapeHtml(code.slice(last, match.index));
+    const [text, comment, string, number, word] = match;
+    if (comment) html += `<span class="tok-comment">${escapeHtml(text)}</span>`;
+    else if (string) html += `<span class="tok-string">${escapeHtml(text)}</span>`;
+    else if (number) html += `<span class="tok-number">${escapeHtml(text)}</span>`;
+    else if (word && HIGHLIGHT_KEYWORDS.has(word)) html += `<span class="tok-keyword">${text}</span>`;
+    else html += escapeHtml(text);
+    last = match.index + text.length;
+  }
+  return html + escapeHtml(code.slice(last));
+}
+
+async function activate(context) {
+  // --- Performance optimizations ---
+  let decorationUpdateTimeout;
+  let contextUpdateTimeout;
+  const DECORATION_THROTTLE_MS = 50;
+  const CONTEXT_THROTTLE_MS = 100;
+  let codeLensProvider = null; // Refreshed together with the decorations
+  
+  // Cache frequently accessed data
+  let bookmarksCache = null;
+  const bookmarkStore = new BookmarkStore();
+  let groupsCache = null;
+  let activeGroupCache = null;
+  let configCache = null;
+  
+  // Track dirty state to avoid unnecessary operations
+  let isDirtyBookmarks = true;
+  let isDirtyGroups = true;
+  let isDirtyConfig = true;
+
+  // --- Workspace folders ---
+  // Bookmarks remember their workspace folder by name plus a folder-relative path, so they
+  // still resolve when the folder sits at a different absolute path (another machine, a moved clone).
+  const OTHER_FILES_FOLDER = "Other Files";
+
+  function locateInWorkspace(uri) {
+    const u = vscode.Uri.parse(uri);
+    const folder = vscode.workspace.getWorkspaceFolder(u);
+    if (!folder) return null;
+    const relPath = path.relative(folder.uri.fsPath, u.fsPath).split(path.sep).join("/");
+    return { folder: folder.name, path: relPath };
+  }
+
+  function updateWorkspaceLocation(bm) {
+    const location = locateInWorkspace(bm.uri);
+    if (location) {
+      bm.folder = location.folder;
+      bm.path = location.path;
+    } else {
+      delete bm.folder;
+      delete bm.path;
+    }
+    return bm;
+  }
+
+  function resolveWorkspaceUri(folderName, relPath) {
+    const folders = vscode.workspace.workspaceFolders || [];
+    // A single-root workspace may be a clone with a different folder name
+    const folder = folders.find(f => f.name === folderName) || (folders.length === 1 ? folders[0] : undefined);
+    return folder ? vscode.Uri.joinPath(folder.uri, ...relPath.split("/")).toString() : null;
+  }
+
+  // Converts a bookmark for storage outside this machine; the absolute uri is only kept when asked
+  // for, or when the file lies outside every workspace folder.
+  function toPortable(bm, keepUri = false) {
+    const { uri, folder, path: relPath, ...rest } = bm;
+    const location = locateInWorkspace(uri) || (relPath ? { folder, path: relPath } : null);
+    if (!location) return { uri, ...rest };
+    return keepUri ? { uri, ...location, ...rest } : { ...location, ...rest };
+  }
+
+  // Returns null when the bookmark's folder is not part of this workspace and it has no usable uri
+  function fromPortable(stored) {
+    const { uri, folder, path: relPath, ...rest } = stored;
+    const resolved = relPath ? resolveWorkspaceUri(folder, relPath) : null;
+    if (!resolved && typeof uri !== "string") return null;
+    return updateWorkspaceLocation({ uri: resolved || uri, ...rest });
+  }
+
+  // Re-derives absolute uris from folder-relative paths and fills in locations for older bookmarks
+  async function syncWorkspaceLocations() {
+    const bookmarks = getBookmarks();
+    let hasChanges = false;
+    
+    for (const bm of bookmarks) {
+      const resolved = bm.path ? resolveWorkspaceUri(bm.folder, bm.path) : null;
+      if (resolved && resolved !== bm.uri) {
+        bm.uri = resolved;
+        hasChanges = true;
+      }
+      const location = locateInWorkspace(bm.uri);
+      if (location && (location.folder !== bm.folder || location.path !== bm.path)) {
+        bm.folder = location.folder;
+        bm.path = location.path;
+        hasChanges = true;
+      }
+    }
+    
+    if (hasChanges) await saveBookmarks(bookmarks);
+    return hasChanges;
+  }
+
+  // --- Schema migrations ---
+  const SCHEMA_VERSION_KEY = "bookmarkSchemaVersion";
+  const SCHEMA_BACKUP_KEY = "bookmarkSchemaBackup";
+  const MIGRATED_KEYS = ["bookmarks", "bookmarkGroups", "bookmarkGroupOrder", "activeBookmarkGroup", "hiddenBookmarkGroups"];
+  // Set when an upgrade failed: the stored keys are left as they were, and this window works on an
+  // empty state kept in memory until the backup of the old data is saved to a file or discarded
+  let failedMigration = null;
+
+  // One backup per version upgraded from. Older versions of this extension kept a single backup.
+  function getSchemaBackups() {
+    const stored = context.workspaceState.get(SCHEMA_BACKUP_KEY) || {};
+    return typeof stored.version === "number" ? { [stored.version]: stored } : { ...stored };
+  }
+
+  async function migrateWorkspaceState() {
+    const state = workspaceBackend;
+    const version = state.get(SCHEMA_VERSION_KEY, 0);
+    if (version === SCHEMA_VERSION) return;
+    if (version > SCHEMA_VERSION) {
+      vscode.window.showWarningMessage("Your bookmarks were saved by a newer version of this extension. Update it to make sure nothing is lost.");
+      return;
+    }
+    
+    const stored = {};
+    for (const key of MIGRATED_KEYS) {
+      const value = state.get(key);
+      if (value !== undefined) stored[key] = value;
+    }
+    if (!Object.keys(stored).length) {
+      await state.update(SCHEMA_VERSION_KEY, SCHEMA_VERSION);
+      return;
+    }
+    
+    // The copy from before the upgrade is kept whether or not it works, next to those of earlier upgrades.
+    // It has the export layout, so BM: Save Storage Backup... and BM: Import Bookmarks bring it back.
+    const backups = getSchemaBackups();
+    backups[version] = { version, savedAt: Date.now(), ...stored };
+    await state.update(SCHEMA_BACKUP_KEY, backups);
+    // Undo entries still hold the old layout
+    history = { undo: [], redo: [] };
+    await saveHistory();
+    
+    let migrated;
+    try {
+      migrated = migrateState(copyOf(stored), version);
+    } catch (err) {
+      // Data we cannot read would break every view, so this window starts empty without touching it
+      const values = migrateState({}, 0);
+      failedMigration = {
+        version,
+        values,
+        get: (key, fallback) => (values[key] !== undefined ? values[key] : fallback),
+        update: async (key, value) => {
+          values[key] = value;
+        }
+      };
+      vscode.window.showErrorMessage(
+        `Could not upgrade your saved bookmarks: ${err.message}. They are kept as they were; until you save or discard a backup of them, bookmarks you make are not saved.`,
+        "Save Backup...", "Discard Backup"
+      ).then(choice => {
+        if (choice === "Save Backup...") saveSchemaBackup(version);
+        else if (choice === "Discard Backup") discardFailedMigration();
+      });
+      return;
+    }
+    
+    for (const key of MIGRATED_KEYS) {
+      await state.update(key, migrated[key]);
+    }
+    await state.update(SCHEMA_VERSION_KEY, SCHEMA_VERSION);
+  }
+
+  // The old data is in a file or was given up, so what this window has worked on is stored in its place
+  async function storeFailedMigrationState() {
+    const { values } = failedMigration;
+    failedMigration = null;
+    for (const key of MIGRATED_KEYS) {
+      await writeState(key, values[key]);
+    }
+    await workspaceBackend.update(SCHEMA_VERSION_KEY, SCHEMA_VERSION);
+    vscode.window.showInformationMessage("Bookmarks are saved again.");
+  }
+
+  async function discardFailedMigration() {
+    const confirm = await vscode.window.showWarningMessage(
+      "Discard the bookmarks that could not be upgraded? They cannot be brought back.",
+      { modal: true }, "Discard"
+    );
+    if (confirm !== "Discard" || !failedMigration) return;
+    const backups = getSchemaBackups();
+    delete backups[failedMigration.version];
+    await context.workspaceState.update(SCHEMA_BACKUP_KEY, backups);
+    await storeFailedMigrationState();
+  }
+
+  async function saveSchemaBackup(version) {
+    const backups = getSchemaBackups();
+    const versions = Object.keys(backups);
+    if (!versions.length) return vscode.window.showInformationMessage("There is no bookmark backup.");
+    if (version === undefined) {
+      version = versions.length === 1 ? versions[0] : (await vscode.window.showQuickPick(
+        versions.map(v => ({ label: `Version ${v}`, description: new Date(backups[v].savedAt).toLocaleString(), version: v })),
+        { placeHolder: "Save the backup taken when upgrading from which version?" }
+      ))?.version;
+      if (version === undefined) return;
+    }
+    const backup = backups[version];
+    const uri = await vscode.window.showSaveDialog({
+      defaultUri: vscode.Uri.file(`bookmarks-backup-v${backup.version}.json`),
+      filters: { JSON: ["json"] }
+    });
+    if (!uri) return;
+    try {
+      require("fs").writeFileSync(uri.fsPath, JSON.stringify(backup, null, 2));
+      vscode.window.showInformationMessage(`Saved the bookmark backup to ${path.basename(uri.fsPath)}`);
+    } catch (err) {
+      return vscode.window.showErrorMessage(`Failed to save the backup: ${err.message}`);
+    }
+    if (failedMigration && failedMigration.version === backup.version) {
+      await storeFailedMigrationState();
+    }
+  }
+
+  // --- Storage backends ---
+  // Groups and bookmarks can live in a shared file in the workspace; the active and
+  // hidden groups are personal view state and always stay in workspaceState.
+  const SHARED_STATE_KEYS = ["bookmarks", "bookmarkGroups", "bookmarkGroupOrder"];
+  const STORAGE_WRITE_DELAY_MS = 300;
+  let fileBackend = null;
+  let storageWatcher = null;
+
+  // workspaceState; bookmarks moved by typing are saved once the typing pauses
+  const workspaceBackend = createDeferredState(context.workspaceState, STORAGE_WRITE_DELAY_MS);
+  // Left by versions that journaled moved bookmarks; the list itself was written with them
+  if (context.workspaceState.get("bookmarkJournal") !== undefined) {
+    context.workspaceState.update("bookmarkJournal", undefined);
+  }
+
+  const backendFor = (key) => {
+    if (fileBackend && SHARED_STATE_KEYS.includes(key)) return fileBackend;
+    return failedMigration && MIGRATED_KEYS.includes(key) ? failedMigration : workspaceBackend;
+  };
+  const readState = (key, fallback) => backendFor(key).get(key, fallback);
+  const writeState = (key, value) => backendFor(key).update(key, value);
+
+  function selectStorageBackend() {
+    if (fileBackend) {
+      fileBackend.flush();
+      fileBackend = null;
+    }
+    if (storageWatcher) {
+      storageWatcher.dispose();
+      storageWatcher = null;
+    }
+    isDirtyBookmarks = true;
+    isDirtyGroups = true;
+    
+    const { storage, storageFile } = getConfig();
+    if (storage !== "workspaceFile") return;
+    
+    const folder = vscode.workspace.workspaceFolders?.[0];
+    if (!folder) {
+      vscode.window.showWarningMessage("Bookmark file storage needs an open workspace folder. Using workspace state instead.");
+      return;
+    }
+    
+    const backend = createFileBackend(folder.uri, storageFile, {
+      localState: workspaceBackend,
+      toPortable: (bm) => toPortable(bm),
+      fromPortable,
+      writeDelay: STORAGE_WRITE_DELAY_MS
+    });
+    try {
+      if (backend.exists()) {
+        backend.reload();
+      } else {
+        // First use: carry the current bookmarks over into the new file
+        for (const key of SHARED_STATE_KEYS) {
+          const value = readState(key);
+          if (value !== undefined) backend.update(key, value);
+        }
+        backend.flush();
+      }
+    } catch (err) {
+      vscode.window.showErrorMessage(`Failed to load ${storageFile}: ${err.message}. Using workspace state instead.`);
+      return;
+    }
+    fileBackend = backend;
+    
+    storageWatcher = vscode.workspace.createFileSystemWatcher(new vscode.RelativePattern(folder, storageFile));
+    storageWatcher.onDidChange(reloadStorageFile);
+    storageWatcher.onDidCreate(reloadStorageFile);
+  }
+
+  // Picks up edits to the shared file made outside the extension, e.g. by a `git pull`
+  async function reloadStorageFile() {
+    if (!fileBackend) return;
+    try {
+      if (!fileBackend.reload()) return;
+    } catch (err) {
+      vscode.window.showErrorMessage(`Failed to reload bookmarks file: ${err.message}`);
+      return;
+    }
+    await refreshAfterStorageChange();
+    vscode.window.setStatusBarMessage("🔖 Bookmarks reloaded from workspace file", 3000);
+  }
+
+  async function refreshAfterStorageChange() {
+    resetSavedTexts();
+    notifyBookmarksChanged();
+    
+    // Group colors may have changed, so rebuild decorations lazily
+    disposeAllDecorations();
+    
+    const groups = getGroups();
+    if (!groups[activeGroup] && Object.keys(groups).length) {
+      await setActiveGroup(Object.keys(groups)[0]);
+    }
+    
+    groupsProv.refresh();
+    bookmarksProv.refresh();
+    viewBookmarks.title = `Bookmarks: ${activeGroup}`;
+    throttledUpdateAllDecorations();
+    throttledUpdateCursorContext();
+  }
+
+  // --- Branch bookmark sets ---
+  // With `branchBookmarks` on, each git branch keeps its own workspace bookmarks. The set of the
+  // checked-out branch lives in the usual state keys; the others are parked under BRANCH_SETS_KEY.
+  // The branch is read from .git/HEAD, so the git extension is not needed.
+  const BRANCH_SETS_KEY = "bookmarkBranchSets";
+  const BRANCH_KEY = "bookmarkBranch";
+  const BRANCH_SET_KEYS = [...SHARED_STATE_KEYS, "activeBookmarkGroup", "hiddenBookmarkGroups"];
+  // A checkout reloads open files from disk; edits to clean files this soon after a switch are not shifted
+  const BRANCH_SWITCH_SETTLE_MS = 1000;
+  let branchWatcher = null;
+  let gitDir = null;
+  let currentBranch = null;
+  let currentHead = null;
+  let branchSettleUntil = 0;
+  let branchSwitch = Promise.resolve();
+
+  // `.git` is a file pointing elsewhere in worktrees and submodules
+  function findGitDir(folderPath) {
+    const fs = require("fs");
+    const dotGit = path.join(folderPath, ".git");
+    try {
+      if (fs.statSync(dotGit).isDirectory()) return dotGit;
+      const match = /^gitdir:\s*(.+)$/m.exec(fs.readFileSync(dotGit, "utf8"));
+      return match ? path.resolve(folderPath, match[1].trim()) : null;
+    } catch {
+      return null;
+    }
+  }
+
+  // A branch ref, or a commit sha when HEAD is detached
+  function readGitHead() {
+    try {
+      return require("fs").readFileSync(path.join(gitDir, "HEAD"), "utf8").trim() || null;
+    } catch {
+      return null;
+    }
+  }
+
+  const branchOfHead = (head) => /^ref:\s*refs\/heads\/(.+)$/.exec(head)?.[1] || null;
+
+  // Branches are files under refs/heads or lines of packed-refs, kept in the main repository's git dir
+  function branchExists(branch) {
+    const fs = require("fs");
+    let commonDir = gitDir;
+    try {
+      commonDir = path.resolve(gitDir, fs.readFileSync(path.join(gitDir, "commondir"), "utf8").trim());
+    } catch {
+      // Not a worktree
+    }
+    if (fs.existsSync(path.join(commonDir, "refs", "heads", branch))) return true;
+    try {
+      return fs.readFileSync(path.join(commonDir, "packed-refs"), "utf8").split(/\r?\n/)
+        .some(line => line.endsWith(` refs/heads/${branch}`));
+    } catch {
+      return false;
+    }
+  }
+
+  const getBranchSets = () => context.workspaceState.get(BRANCH_SETS_KEY, {});
+
+  function stopBranchWatch() {
+    if (branchWatcher) {
+      branchWatcher.dispose();
+      branchWatcher = null;
+    }
+    gitDir = null;
+    currentBranch = null;
+    currentHead = null;
+  }
+
+  // (Re)starts following the branch of the first workspace folder when the setting is on
+  async function watchBranch() {
+    stopBranchWatch();
+    if (!getConfig().branchBookmarks) {
+      // Turning it on again adopts the bookmarks you have at that point for the branch you are on
+      await context.workspaceState.update(BRANCH_KEY, undefined);
+      return;
+    }
+    
+    if (getConfig().storage === "workspaceFile") {
+      vscode.window.showWarningMessage("Branch bookmark sets are not used with workspaceFile storage. Commit the bookmarks file instead, and git keeps a copy per branch.");
+      return;
+    }
+    const folder = vscode.workspace.workspaceFolders?.[0];
+    gitDir = folder && findGitDir(folder.uri.fsPath);
+    if (!gitDir) {
+      vscode.window.showWarningMessage("Branch bookmark sets need a workspace folder that is a git repository.");
+      return;
+    }
+    
+    branchWatcher = vscode.workspace.createFileSystemWatcher(new vscode.RelativePattern(vscode.Uri.file(gitDir), "HEAD"));
+    branchWatcher.onDidChange(checkBranch);
+    branchWatcher.onDidCreate(checkBranch);
+    // The branch may have changed while the window was closed
+    currentBranch = context.workspaceState.get(BRANCH_KEY) || null;
+    checkBranch();
+    await branchSwitch;
+  }
+
+  // Returns true when HEAD moved. Reads HEAD synchronously so that the
+  // document change handler can tell checkout reloads from edits.
+  // A detached HEAD (a rebase, a bisect, a checked-out commit) keeps the current set.
+  function checkBranch() {
+    if (!gitDir) return false;
+    const head = readGitHead();
+    if (!head || head === currentHead) return false;
+    const moved = currentHead !== null;
+    currentHead = head;
+    const branch = branchOfHead(head);
+    if (branch && branch !== currentBranch) {
+      currentBranch = branch;
+      branchSwitch = branchSwitch.then(() => swapBranchSet(branch)).catch(err =>
+        vscode.window.showErrorMessage(`Failed to switch bookmarks to branch ${branch}: ${err.message}`));
+    } else if (!moved) {
+      return false;
+    }
+    branchSettleUntil = Date.now() + BRANCH_SWITCH_SETTLE_MS;
+    return true;
+  }
+
+  async function swapBranchSet(branch) {
+    const previous = context.workspaceState.get(BRANCH_KEY);
+    if (previous === branch) return;
+    
+    const sets = { ...getBranchSets() };
+    const next = sets[branch];
+    delete sets[branch];
+    // The first branch seen keeps the bookmarks you already had
+    if (previous) {
+      sets[previous] = Object.fromEntries(BRANCH_SET_KEYS.map(key => [key, readState(key)]));
+    }
+    await context.workspaceState.update(BRANCH_SETS_KEY, sets);
+    await context.workspaceState.update(BRANCH_KEY, branch);
+    if (!previous) return;
+    
+    for (const key of BRANCH_SET_KEYS) {
+      await writeState(key, next?.[key]);
+    }
+    isDirtyBookmarks = true;
+    isDirtyGroups = true;
+    activeGroupCache = null;
+    await initializeGroupsAndColors();
+    await refreshAfterStorageChange();
+    recheckBookmarks();
+    
+    // Undoing a change made on the other branch would write its bookmarks into this set
+    history = { undo: [], redo: [] };
+    await saveHistory();
+    updateHistoryContext();
+    vscode.window.setStatusBarMessage(next
+      ? `🔖 Switched to the bookmarks of ${branch}`
+      : `🔖 New bookmark set for ${branch}`, 3000);
+  }
+
+  // Sets of deleted branches (and of detached HEADs, which used to get a set of their own) start out picked
+  async function deleteBranchSets() {
+    if (!gitDir) {
+      return vscode.window.showInformationMessage("Turn on bookmarkExtension.branchBookmarks to keep bookmarks per branch.");
+    }
+    const sets = getBranchSets();
+    const branches = Object.keys(sets);
+    if (!branches.length) {
+      return vscode.window.showInformationMessage("No other branch has a bookmark set.");
+    }
+    
+    const picked = await vscode.window.showQuickPick(
+      branches.map(b => {
+        const gone = !branchExists(b);
+        return {
+          label: `$(git-branch) ${b}`,
+          description: `${(sets[b].bookmarks || []).length} bookmark(s)${gone ? " · branch no longer exists" : ""}`,
+          picked: gone,
+          branch: b
+        };
+      }),
+      { canPickMany: true, placeHolder: "Bookmark sets to delete" }
+    );
+    if (!picked?.length) return;
+    
+    const count = picked.reduce((sum, { branch }) => sum + (sets[branch].bookmarks || []).length, 0);
+    const confirm = await vscode.window.showWarningMessage(
+      `Delete the bookmark sets of ${picked.length} branch(es) with ${count} bookmark(s)? This cannot be undone.`,
+      { modal: true }, "Delete"
+    );
+    if (confirm !== "Delete") return;
+    
+    const remaining = { ...getBranchSets() };
+    for (const { branch } of picked) delete remaining[branch];
+    await context.workspaceState.update(BRANCH_SETS_KEY, remaining);
+    vscode.window.setStatusBarMessage(`🔖 Deleted ${picked.length} branch bookmark set(s)`, 3000);
+  }
+
+  const BRANCH_GROUP_ACTIONS = {
+    copy: { verb: "Copy", placeHolder: "Group to copy into this branch" },
+    merge: { verb: "Merge", placeHolder: "Group to merge into the group of the same name" }
+  };
+
+  // Copies a group (with its sub-groups) from another branch's set. "copy" adds it as a new
+  // group, renamed if the name is taken; "merge" adds its bookmarks to the same-named group.
+  async function importGroupFromBranch(action) {
+    if (!gitDir) {
+      return vscode.window.showInformationMessage("Turn on bookmarkExtension.branchBookmarks to keep bookmarks per branch.");
+    }
+    const sets = getBranchSets();
+    const branches = Object.keys(sets).filter(b => Object.keys(sets[b].bookmarkGroups || {}).length);
+    if (!branches.length) {
+      return vscode.window.showInformationMessage("No other branch has bookmarks yet.");
+    }
+    
+    const { verb, placeHolder } = BRANCH_GROUP_ACTIONS[action];
+    const branch = branches.length === 1 ? branches[0] : (await vscode.window.showQuickPick(
+      branches.map(b => ({ label: `$(git-branch) ${b}`, description: `${(sets[b].bookmarks || []).length} bookmark(s)`, branch: b })),
+      { placeHolder: `${verb} a group from which branch?` }
+    ))?.branch;
+    if (!branch) return;
+    
+    const set = sets[branch];
+    const setBookmarks = Array.isArray(set.bookmarks) ? set.bookmarks : [];
+    const setGroups = set.bookmarkGroups || {};
+    const setOrder = isStringList(set.bookmarkGroupOrder) ? set.bookmarkGroupOrder : [];
+    const groupNames = [...new Set([...setOrder.filter(g => g in setGroups), ...Object.keys(setGroups)])];
+    const inGroup = (name, group) => group === name || group.startsWith(name + "/");
+    const picked = await vscode.window.showQuickPick(
+      groupNames.map(g => ({
+        label: g.replace(/\//g, " ❯ "),
+        description: `${setBookmarks.filter(b => inGroup(g, b.group)).length} bookmark(s)`,
+        group: g
+      })),
+      { placeHolder: `${placeHolder} (from ${branch})` }
+    );
+    if (!picked) return;
+    const source = picked.group;
+    
+    let target = source;
+    if (action === "copy" && getGroups()[source]) {
+      const groups = getGroups();
+      target = await vscode.window.showInputBox({
+        prompt: `"${source}" already exists on this branch. Name for the copy`,
+        value: `${source} (${branch})`,
+        validateInput: (value) => {
+          const name = value.trim();
+          if (!name || !name.split("/").every(part => part.trim())) return "Enter a group name";
+          if (isGlobalGroup(name)) return `Groups under ${GLOBAL_ROOT} are shared by every branch already`;
+          return groups[name] ? "A group with this name already exists" : null;
+        }
+      });
+      if (!target) return;
+      target = target.trim();
+    }
+    
+    // Brought over as an import of just that group, so duplicates and colour clashes are handled the same way
+    const rename = (group) => target + group.slice(source.length);
+    const names = groupNames.filter(g => inGroup(source, g));
+    const data = {
+      bookmarks: setBookmarks.filter(b => b && typeof b.group === "string" && inGroup(source, b.group))
+        .map(b => ({ ...b, group: rename(b.group) })),
+      bookmarkGroups: Object.fromEntries(names.map(g => [rename(g), setGroups[g]])),
+      bookmarkGroupOrder: names.map(rename)
+    };
+    const plan = planNativeImport(data, "merge");
+    if (!plan.stats.added && !plan.created.length) {
+      return vscode.window.showInformationMessage(`"${target}" already has every bookmark of "${source}" on ${branch}`);
+    }
+    await commitImportPlan(plan, data);
+    offerUndo(`${verb === "Copy" ? "Copied" : "Merged"} ${plan.stats.added} bookmark${plan.stats.added === 1 ? "" : "s"} from ${branch} into "${target}"`);
+  }
+
+  // --- Change notifications (exposed through the public API) ---
+  // Saves often come in bursts (a drag and drop writes bookmarks, groups and order),
+  // so listeners get one event per burst and read the new state themselves.
+  const bookmarksChanged = new vscode.EventEmitter();
+  const CHANGE_EVENT_DELAY_MS = 50;
+  let changeEventTimeout = null;
+
+  function notifyBookmarksChanged() {
+    if (changeEventTimeout) {
+      clearTimeout(changeEventTimeout);
+    }
+    changeEventTimeout = setTimeout(() => {
+      changeEventTimeout = null;
+      bookmarksChanged.fire();
+    }, CHANGE_EVENT_DELAY_MS);
+  }
+
+  // --- Global scope storage ---
+  // The helpers below hand out one merged list of workspace and global bookmarks (and groups)
+  // and split it again when saving, so the rest of the code does not need to care.
+  const GLOBAL_STATE_KEYS = {
+    bookmarks: "globalBookmarks",
+    bookmarkGroups: "globalBookmarkGroups",
+    bookmarkGroupOrder: "globalBookmarkGroupOrder"
+  };
+  // The value of each key as this window last read or wrote it: what its changes are based on
+  const lastGlobalText = new Map();
+  const storedGlobal = (key) => context.globalState.get(GLOBAL_STATE_KEYS[key], key === "bookmarkGroups" ? {} : []);
+
+  function readGlobal(key) {
+    const value = storedGlobal(key);
+    lastGlobalText.set(key, JSON.stringify(value));
+    return value;
+  }
+
+  // Skips unchanged values: most saves (e.g. every edit that shifts a line) only touch the workspace.
+  // Another window may have written the key since this one read it, so its value is merged with
+  // ours instead of being overwritten; the merged result is then loaded here as well.
+  async function writeGlobal(key, value) {
+    const base = lastGlobalText.get(key);
+    if (base === JSON.stringify(value)) return;
+    
+    const stored = storedGlobal(key);
+    const changedElsewhere = base !== undefined && JSON.stringify(stored) !== base;
+    if (changedElsewhere) {
+      value = mergeConcurrentChanges(JSON.parse(base), value, stored);
+    }
+    lastGlobalText.set(key, JSON.stringify(value));
+    await context.globalState.update(GLOBAL_STATE_KEYS[key], value);
+    if (changedElsewhere) await refreshAfterStorageChange();
+  }
+
+  // Folder-relative locations mean nothing in other windows
+  function toGlobalStored(bm) {
+    const stored = { ...bm };
+    delete stored.folder;
+    delete stored.path;
+    return stored;
+  }
+
+  const splitByScope = (entries, groupOf) => [
+    entries.filter(entry => !isGlobalGroup(groupOf(entry))),
+    entries.filter(entry => isGlobalGroup(groupOf(entry)))
+  ];
+
+  // Other windows may have changed the global scope while this one was in the background
+  async function reloadGlobalScope() {
+    const changed = Object.keys(GLOBAL_STATE_KEYS).some(key =>
+      lastGlobalText.has(key) && JSON.stringify(storedGlobal(key)) !== lastGlobalText.get(key));
+    if (!changed) return;
+    lastGlobalText.clear();
+    await refreshAfterStorageChange();
+  }
+
+  // --- Undo tracking ---
+  // Every save diffs the new value against the one saved before (kept as entry texts, since
+  // commands change bookmarks in place before saving them). Saves made while a recorded
+  // operation runs, in its own async call chain, become that operation's undo entry.
+  const operationContext = new AsyncLocalStorage();
+  const savedTexts = new Map();
+  let savedPositions = null;
+
+  function trackWrite(key, value) {
+    const before = savedTexts.get(key);
+    const after = toEntryTexts(key, value);
+    savedTexts.set(key, after);
+    if (key === "bookmarks") savedPositions = null;
+    
+    const operation = operationContext.getStore();
+    if (!operation || operation.done || !before) return;
+    const change = diffEntryTexts(before, after);
+    if (change.removed.length || change.added.length) operation.changes.push({ key, ...change });
+  }
+
+  // Same as trackWrite("bookmarks", ...) when only `changed` were edited in place
+  function trackBookmarkChanges(changed) {
+    const texts = savedTexts.get("bookmarks");
+    if (!texts) return;
+    savedPositions ??= new Map(getBookmarks().map((bm, i) => [bm, i]));
+    const change = { key: "bookmarks", removed: [], added: [] };
+    for (const bm of changed) {
+      const index = savedPositions.get(bm);
+      if (index === undefined) continue;
+      const text = JSON.stringify(bm);
+      change.removed.push([index, texts[index]]);
+      change.added.push([index, text]);
+      texts[index] = text;
+    }
+    
+    const operation = operationContext.getStore();
+    if (operation && !operation.done && change.added.length) operation.changes.push(change);
+  }
+
+  // --- Optimized State helpers ---
+  // The lists last read or written for each scope
+  let storedScopes = { local: [], global: [] };
+
+  const getBookmarks = () => {
+    if (isDirtyBookmarks || !bookmarksCache) {
+      storedScopes = { local: readState("bookmarks", []), global: readGlobal("bookmarks") };
+      bookmarksCache = [...storedScopes.local, ...storedScopes.global];
+      bookmarkStore.reset(bookmarksCache);
+      savedTexts.set("bookmarks", toEntryTexts("bookmarks", bookmarksCache));
+      savedPositions = null;
+      isDirtyBookmarks = false;
+    }
+    return bookmarksCache;
+  };
+
+  // Lookups by file, group and line over the bookmarks getBookmarks() returns
+  const getBookmarkIndex = () => {
+    getBookmarks();
+    return bookmarkStore;
+  };
+  
+  const saveBookmarks = async (bms) => {
+    trackWrite("bookmarks", bms);
+    bookmarksCache = bms;
+    bookmarkStore.reset(bms);
+    isDirtyBookmarks = false;
+    notifyBookmarksChanged();
+    const [local, global] = splitByScope(bms, b => b.group);
+    storedScopes = { local, global };
+    await writeState("bookmarks", local);
+    return writeGlobal("bookmarks", global.map(toGlobalStored));
+  };
+
+  // Saves bookmarks of one file that were changed in place, e.g. shifted by an edit. Workspace
+  // bookmarks are written after a pause; the global scope is small and written right away.
+  const saveBookmarkChanges = async (uri, changed) => {
+    trackBookmarkChanges(changed);
+    bookmarkStore.reindexFile(uri);
+    notifyBookmarksChanged();
+    const [local, global] = splitByScope(changed, b => b.group);
+    if (local.length) {
+      // The shared file is only written after a pause anyway
+      if (backendFor("bookmarks") === workspaceBackend) {
+        workspaceBackend.updateLater("bookmarks", storedScopes.local);
+      } else {
+        await writeState("bookmarks", storedScopes.local);
+      }
+    }
+    if (global.length) await writeGlobal("bookmarks", storedScopes.global.map(toGlobalStored));
+  };
+  
+  const getGroups = () => {
+    if (isDirtyGroups || !groupsCache) {
+      groupsCache = { ...readState("bookmarkGroups", {}), ...readGlobal("bookmarkGroups") };
+      savedTexts.set("bookmarkGroups", toEntryTexts("bookmarkGroups", groupsCache));
+      isDirtyGroups = false;
+    }
+    return groupsCache;
+  };
+  
+  const saveGroups = async (groups) => {
+    trackWrite("bookmarkGroups", groups);
+    groupsCache = groups;
+    isDirtyGroups = false;
+    notifyBookmarksChanged();
+    const [local, global] = splitByScope(Object.entries(groups), ([name]) => name);
+    await writeState("bookmarkGroups", Object.fromEntries(local));
+    return writeGlobal("bookmarkGroups", Object.fromEntries(global));
+  };
+  
+  const getActiveGroup = () => {
+    if (!activeGroupCache) {
+      activeGroupCache = readState("activeBookmarkGroup");
+    }
+    return activeGroupCache;
+  };
+  
+  const setActiveGroup = async (name) => {
+    trackWrite("activeBookmarkGroup", name);
+    activeGroupCache = name;
+    activeGroup = name;
+    notifyBookmarksChanged();
+    return writeState("activeBookmarkGroup", name);
+  };
+
+  const getGroupOrder = () => {
+    let order = [...readState("bookmarkGroupOrder", []), ...readGlobal("bookmarkGroupOrder")];
+    const groups = getGroups();
+    const groupNames = Object.keys(groups);
+    
+    order = order.filter(name => groupNames.includes(name));
+    for (const name of groupNames) {
+      if (!order.includes(name)) {
+        order.push(name);
+      }
+    }
+    // Each scope saves its own order, so workspace groups always come first
+    return [...order.filter(name => !isGlobalGroup(name)), ...order.filter(isGlobalGroup)];
+  };
+
+  const saveGroupOrder = async (order) => {
+    trackWrite("bookmarkGroupOrder", order);
+    notifyBookmarksChanged();
+    const [local, global] = splitByScope(order, name => name);
+    await writeState("bookmarkGroupOrder", local);
+    return writeGlobal("bookmarkGroupOrder", global);
+  };
+
+  const getHiddenGroups = () => {
+    return readState("hiddenBookmarkGroups", []);
+  };
+
+  const saveHiddenGroups = async (hiddenGroups) => {
+    trackWrite("hiddenBookmarkGroups", hiddenGroups);
+    notifyBookmarksChanged();
+    return writeState("hiddenBookmarkGroups", hiddenGroups);
+  };
+
+  const getTagFilter = () => {
+    return readState("bookmarkTagFilter");
+  };
+
+  const saveTagFilter = async (tag) => {
+    return writeState("bookmarkTagFilter", tag);
+  };
+
+  // While the filter box is open its value is previewed without being persisted
+  let viewFilterPreview;
+
+  const getViewFilter = () => {
+    return viewFilterPreview !== undefined ? viewFilterPreview : readState("bookmarkViewFilter");
+  };
+
+  const saveViewFilter = async (filter) => {
+    return writeState("bookmarkViewFilter", filter);
+  };
+
+  const decorationTypes = new Map();
+  const rangeDecorationTypes = new Map();
+  const markDecorationTypes = new Map();
+  let activeGroup;
+
+  // --- Optimized Config helper with caching ---
+  function getConfig() {
+    if (isDirtyConfig || !configCache) {
+      const config = vscode.workspace.getConfiguration("bookmarkExtension");
+      configCache = {
+        userGroupColors: config.get("groupColors", {}),
+        defaultColors: config.get("defaultColors", ["#fff59d"]),
+        opacity: config.get("opacity", 0.3),
+        scrollAnimation: config.get("scrollAnimation", "all"),
+        flashHighlight: config.get("flashHighlight", true),
+        allowCrossFileJump: config.get("allowCrossFileJump", true),
+        showBookmarkIconInTree: config.get("showBookmarkIconInTree", false),
+        storage: config.get("storage", "workspaceState"),
+        storageFile: config.get("storageFile", ".vscode/bookmarks.json"),
+        codeLens: config.get("codeLens", false),
+        trashRetentionDays: config.get("trashRetentionDays", 30),
+        navigationOrder: config.get("navigationOrder", "fileLine"),
+        navigationScope: config.get("navigationScope", "activeGroup"),
+        branchBookmarks: config.get("branchBookmarks", false)
+      };
+      isDirtyConfig = false;
+    }
+    return configCache;
+  }
+
+  // --- Optimized Color helpers (memoized) ---
+  const colorCache = new Map();
+  
+  function hslToHex(h, s, l) {
+    const key = `${h}-${s}-${l}`;
+    if (colorCache.has(key)) return colorCache.get(key);
+    
+    s /= 100;
+    l /= 100;
+    const k = (n) => (n + h / 30) % 12;
+    const a = s * Math.min(l, 1 - l);
+    const f = (n) => {
+      const x = l - a * Math.max(-1, Math.min(k(n) - 3, Math.min(9 - k(n), 1)));
+      return Math.round(255 * x);
+    };
+    const toHex = (v) => v.toString(16).padStart(2, "0");
+    const result = `#${toHex(f(0))}${toHex(f(8))}${toHex(f(4))}`;
+    
+    colorCache.set(key, result);
+    return result;
+  }
+
+  const alphaCache = new Map();
+  function withAlpha(hex, alpha) {
+    const key = `${hex}-${alpha}`;
+    if (alphaCache.has(key)) return alphaCache.get(key);
+    
+    const clean = hex.replace("#", "");
+    const a = Math.round(alpha * 255).toString(16).padStart(2, "0");
+    const result = `#${clean}${a}`;
+    
+    alphaCache.set(key, result);
+    return result;
+  }
+
+  // --- Optimized Decorations ---
+  const iconCache = new Map();
+  
+  function makeIconUri(color) {
+    const activeColor = color || "#fff59d";
+    if (iconCache.has(activeColor)) return iconCache.get(activeColor);
+    
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" width="16" height="16"><path fill="${activeColor}" d="M6 4C4.895 4 4 4.895 4 6V20L12 16L20 20V6C20 4.895 19.105 4 18 4H6Z"/></svg>`;
+    const uri = vscode.Uri.parse(`data:image/svg+xml;utf8,${encodeURIComponent(svg)}`);
+    
+    iconCache.set(activeColor, uri);
+    return uri;
+  }
+
+  function ensureDecorationForGroup(grp, forceRefresh = false) {
+    const { opacity } = getConfig();
+    let groups = getGroups();
+    
+    let color = groups[grp];
+    if (!color) {
+      color = hslToHex(Math.random() * 360, 70, 80);
+      groups[grp] = color;
+      saveGroups(groups);
+    }
+
+    if (forceRefresh || !decorationTypes.has(grp)) {
+      disposeGroupDecorations(grp);
+      
+      decorationTypes.set(grp, vscode.window.createTextEditorDecorationType({
+        isWholeLine: true,
+        backgroundColor: withAlpha(color, opacity),
+        gutterIconPath: makeIconUri(color),
+        gutterIconSize: "contain",
+      }));
+      // Range bookmarks highlight exactly the bookmarked characters
+      rangeDecorationTypes.set(grp, vscode.window.createTextEditorDecorationType({
+        backgroundColor: withAlpha(color, opacity),
+        border: `1px solid ${withAlpha(color, Math.min(1, opacity * 2))}`,
+        borderRadius: "2px",
+        gutterIconPath: makeIconUri(color),
+        gutterIconSize: "contain",
+      }));
+    }
+  }
+
+  function disposeGroupDecorations(grp) {
+    for (const types of [decorationTypes, rangeDecorationTypes]) {
+      const existing = types.get(grp);
+      if (existing) {
+        existing.dispose();
+        types.delete(grp);
+      }
+    }
+  }
+
+  function disposeAllDecorations() {
+    for (const types of [decorationTypes, rangeDecorationTypes, markDecorationTypes]) {
+      for (const decoration of types.values()) {
+        decoration.dispose();
+      }
+      types.clear();
+    }
+  }
+
+  // Marks show their character after the line text: the gutter holds one icon per line,
+  // which the bookmark on the same line needs
+  function markDecorationFor(mark) {
+    if (!markDecorationTypes.has(mark)) {
+      const color = isGlobalMark(mark) ? GLOBAL_MARK_COLOR : LOCAL_MARK_COLOR;
+      markDecorationTypes.set(mark, vscode.window.createTextEditorDecorationType({
+        after: {
+          contentText: `'${mark}`,
+          color,
+          fontWeight: "bold",
+          margin: "0 0 0 1em"
+        }
+      }));
+    }
+    return markDecorationTypes.get(mark);
+  }
+
+  // --- Initialize groups and activeGroup ---
+  async function initializeGroupsAndColors() {
+    const { userGroupColors, defaultColors } = getConfig();
+    let groupColors = getGroups();
+    
+    Object.assign(groupColors, userGroupColors);
+    
+    if (!Object.keys(groupColors).some(g => !isGlobalGroup(g))) {
+      groupColors = { Default: defaultColors[0], ...groupColors };
+    }
+    // The Global root is always there so groups can be created under it
+    if (!groupColors[GLOBAL_ROOT]) {
+      groupColors[GLOBAL_ROOT] = GLOBAL_ROOT_COLOR;
+    }
+    
+    await saveGroups(groupColors);
+
+    let active = getActiveGroup();
+    if (!active || !groupColors[active]) {
+      active = Object.keys(groupColors)[0];
+      await setActiveGroup(active);
+    }
+    activeGroup = active;
+    
+    return groupColors;
+  }
+
+  // --- Optimized config changes ---
+  async function applyConfigChanges() {
+    isDirtyConfig = true; // Force config refresh
+    const { userGroupColors, defaultColors } = getConfig();
+    let groups = getGroups();
+    
+    // Batch updates
+    const updates = {};
+    for (const [groupName, configColor] of Object.entries(userGroupColors)) {
+      if (groups[groupName]) {
+        updates[groupName] = configColor;
+      }
+    }
+    
+    if (groups.Default && defaultColors.length > 0) {
+      updates.Default = defaultColors[0];
+    }
+    
+    Object.assign(groups, updates);
+    await saveGroups(groups);
+    
+    // Batch decoration refresh
+    const groupsToRefresh = Object.keys(updates);
+    for (const group of groupsToRefresh) {
+      ensureDecorationForGroup(group, true);
+    }
+    
+    throttledUpdateAllDecorations();
+    if (groupsProv) groupsProv.refresh();
+    if (bookmarksProv) bookmarksProv.refresh();
+  }
+
+  // --- Optimized decoration updates with throttling ---
+  function updateDecorations(editor) {
+    if (!editor) return;
+    
+    const uri = editor.document.uri.toString();
+    const rangesMap = new Map();
+    const lineCount = editor.document.lineCount;
+    const hiddenGroups = getHiddenGroups();
+    
+    // Single pass through the file's bookmarks
+    for (const b of getBookmarkIndex().inFile(uri)) {
+      if (b.line < lineCount && !hiddenGroups.includes(b.group)) {
+        if (!decorationTypes.has(b.group)) {
+          ensureDecorationForGroup(b.group);
+        }
+        const isRange = isRangeBookmark(b);
+        const deco = isRange ? rangeDecorationTypes.get(b.group) : decorationTypes.get(b.group);
+        const range = isRange
+          ? editor.document.validateRange(bookmarkRange(b))
+          : editor.document.lineAt(b.line).range;
+        
+        if (!rangesMap.has(deco)) {
+          rangesMap.set(deco, []);
+        }
+        rangesMap.get(deco).push(range);
+      }
+    }
+    
+    for (const m of getMarks()) {
+      if (m.uri === uri && m.line < lineCount) {
+        rangesMap.set(markDecorationFor(m.mark), [editor.document.lineAt(m.line).range]);
+      }
+    }
+    
+    // Batch clear all decorations first
+    for (const types of [decorationTypes, rangeDecorationTypes, markDecorationTypes]) {
+      for (const deco of types.values()) {
+        editor.setDecorations(deco, []);
+      }
+    }
+    
+    // Batch apply new decorations
+    for (const [deco, ranges] of rangesMap) {
+      editor.setDecorations(deco, ranges);
+    }
+  }
+
+  function throttledUpdateAllDecorations() {
+    if (decorationUpdateTimeout) {
+      clearTimeout(decorationUpdateTimeout);
+    }
+    decorationUpdateTimeout = setTimeout(() => {
+      vscode.window.visibleTextEditors.forEach(updateDecorations);
+      if (codeLensProvider) codeLensProvider.refresh();
+      decorationUpdateTimeout = null;
+    }, DECORATION_THROTTLE_MS);
+  }
+
+  function updateAllDecorations() {
+    vscode.window.visibleTextEditors.forEach(updateDecorations);
+    if (codeLensProvider) codeLensProvider.refresh();
+  }
+
+  async function throttledUpdateCursorContext() {
+    if (contextUpdateTimeout) {
+      clearTimeout(contextUpdateTimeout);
+    }
+    contextUpdateTimeout = setTimeout(async () => {
+      const e = vscode.window.activeTextEditor;
+      if (!e) {
+        vscode.commands.executeCommand("setContext", "bm.isBookmarkedLine", false);
+        contextUpdateTimeout = null;
+        return;
+      }
+      
+      const uri = e.document.uri.toString();
+      const line = e.selection.active.line;
+      const exists = getBookmarkIndex().atLine(uri, line).some(b => b.group === activeGroup);
+      
+      vscode.commands.executeCommand("setContext", "bm.isBookmarkedLine", exists);
+      contextUpdateTimeout = null;
+    }, CONTEXT_THROTTLE_MS);
+  }
+
+  let activeAnimationInterval = null;
+  let activeAnimationResolve = null;
+  let tempHighlightDecoration = null;
+  let crossFileJumpStatusBarItem = null;
+
+  function updateCrossFileJumpStatusBar() {
+    if (!crossFileJumpStatusBarItem) {
+      crossFileJumpStatusBarItem = vscode.window.createStatusBarItem(vscode.StatusBarAlignment.Right, 100);
+      crossFileJumpStatusBarItem.command = "bm.toggleCrossFileJump";
+    }
+    const config = getConfig();
+    const allowed = config.allowCrossFileJump !== false;
+    if (allowed) {
+      crossFileJumpStatusBarItem.text = "$(files) Cross-File Jump: ON";
+      crossFileJumpStatusBarItem.tooltip = "Click to disable jumping to bookmarks in other files";
+      crossFileJumpStatusBarItem.color = "";
+    } else {
+      crossFileJumpStatusBarItem.text = "$(files) Cross-File Jump: OFF";
+      crossFileJumpStatusBarItem.tooltip = "Click to enable jumping to bookmarks in other files";
+      crossFileJumpStatusBarItem.color = new vscode.ThemeColor("statusBarItem.warningBackground");
+    }
+    crossFileJumpStatusBarItem.show();
+  }
+
+  function cancelActiveAnimation() {
+    if (activeAnimationInterval) {
+      clearInterval(activeAnimationInterval);
+      activeAnimationInterval = null;
+    }
+    if (activeAnimationResolve) {
+      activeAnimationResolve();
+      activeAnimationResolve = null;
+    }
+  }
+
+  function flashLineHighlight(editor, line, bookmarkGroup) {
+    if (tempHighlightDecoration) {
+      tempHighlightDecoration.dispose();
+    }
+    
+    const groups = getGroups();
+    const groupColor = groups[bookmarkGroup] || groups[activeGroup] || "#fff59d";
+    
+    tempHighlightDecoration = vscode.window.createTextEditorDecorationType({
+      backgroundColor: `${groupColor}44`,
+      isWholeLine: true,
+      border: `1px solid ${groupColor}`
+    });
+    
+    const range = new vscode.Range(new vscode.Position(line, 0), new vscode.Position(line, 0));
+    editor.setDecorations(tempHighlightDecoration, [range]);
+    
+    const fileName = path.basename(editor.document.uri.fsPath);
+    vscode.window.setStatusBarMessage(`📁 Jumped to ${fileName} (Line ${line + 1})`, 2500);
+    
+    setTimeout(() => {
+      if (tempHighlightDecoration) {
+        tempHighlightDecoration.dispose();
+        tempHighlightDecoration = null;
+      }
+    }, 800);
+  }
+
+  async function revealRangeWithAnimation(editor, targetLine, isSameFile, bookmarkGroup, selectionRange) {
+    cancelActiveAnimation();
+    
+    const config = getConfig();
+    const scrollAnimSetting = config.scrollAnimation || "all";
+    
+    let useAnimation = false;
+    if (scrollAnimSetting === "all") {
+      useAnimation = true;
+    } else if (scrollAnimSetting === "sameFileOnly") {
+      useAnimation = isSameFile;
+    }
+    
+    const getPosWithSameColumn = (line) => {
+      const currentCharacter = editor.selection.active.character;
+      let maxChar = 0;
+      try {
+        maxChar = editor.document.lineAt(line).text.length;
+      } catch (e) {
+        // line might be out of bounds if file changed externally
+      }
+      return new vscode.Position(line, Math.min(currentCharacter, maxChar));
+    };
+    
+    // Final landing: range bookmarks restore their selection, line bookmarks keep the column
+    const landOnTarget = () => {
+      if (selectionRange) {
+        const range = editor.document.validateRange(selectionRange);
+        editor.selection = new vscode.Selection(range.start, range.end);
+        editor.revealRange(range, vscode.TextEditorRevealType.InCenter);
+      } else {
+        const pos = getPosWithSameColumn(targetLine);
+        editor.selection = new vscode.Selection(pos, pos);
+        editor.revealRange(new vscode.Range(pos, pos), vscode.TextEditorRevealType.InCenter);
+      }
+      if (config.flashHighlight !== false) {
+        flashLineHighlight(editor, targetLine, bookmarkGroup);
+      }
+    };
+    
+    // If it's a different file, jump instantly and trigger the flash notification if enabled
+    if (!isSameFile || !useAnimation) {
+      landOnTarget();
+      return;
+    }
+    
+    const currentLine = editor.selection.active.line;
+    const diff = targetLine - currentLine;
+    const absDiff = Math.abs(diff);
+    
+    if (absDiff <= 2) {
+      landOnTarget();
+      return;
+    }
+    
+    const stepsCount = Math.min(20, Math.max(5, Math.floor(absDiff / 3)));
+    const stepDelay = 15; // ms
+    let currentStep = 0;
+    
+    return new Promise((resolve) => {
+      activeAnimationResolve = resolve;
+      
+      activeAnimationInterval = setInterval(() => {
+        currentStep++;
+        if (currentStep >= stepsCount) {
+          cancelActiveAnimation();
+          landOnTarget();
+        } else {
+          const t = currentStep / stepsCount;
+          const easeT = t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t;
+          const interpLine = Math.round(currentLine + diff * easeT);
+          
+          const pos = getPosWithSameColumn(interpLine);
+          editor.selection = new vscode.Selection(pos, pos);
+          editor.revealRange(new vscode.Range(pos, pos), vscode.TextEditorRevealType.InCenter);
+        }
+      }, stepDelay);
+    });
+  }
+
+  // --- Re-anchoring after files change outside the editor ---
+  // Puts a bookmark on `line` and refreshes its content and fingerprint; returns true when anything changed
+  function moveToAnchor(bm, getLine, lineCount, line) {
+    let changed = false;
+    if (bm.anchorLost) {
+      delete bm.anchorLost;
+      changed = true;
+    }
+    if (bm.orphaned) {
+      delete bm.orphaned;
+      changed = true;
+    }
+    if (bm.line !== line) {
+      if (isRangeBookmark(bm)) bm.endLine += line - bm.line;
+      bm.line = line;
+      changed = true;
+    }
+    const text = getLine(line).trim();
+    if (bm.content !== text) {
+      bm.content = text;
+      changed = true;
+    }
+    const anchor = captureAnchor(getLine, lineCount, line);
+    if (!sameAnchor(bm.anchor, anchor)) {
+      bm.anchor = anchor;
+      changed = true;
+    }
+    return changed;
+  }
+
+  async function reanchorBookmarks(uri, getLine, lineCount) {
+    const bookmarks = getBookmarks();
+    let moved = 0;
+    let lost = 0;
+    let hasChanges = false;
+    
+    for (const bm of getBookmarkIndex().inFile(uri)) {
+      const match = locateAnchor(getLine, lineCount, bm);
+      if (!match) {
+        if (!bm.anchorLost) {
+          bm.anchorLost = true;
+          lost++;
+          hasChanges = true;
+        }
+        // The file exists again, so it is no longer orphaned even if the line is gone
+        if (bm.orphaned) {
+          delete bm.orphaned;
+          hasChanges = true;
+        }
+        continue;
+      }
+      
+      if (bm.line !== match.line) moved++;
+      if (moveToAnchor(bm, getLine, lineCount, match.line)) hasChanges = true;
+    }
+    
+    if (!hasChanges) return;
+    
+    await saveBookmarks(bookmarks);
+    throttledRefreshTrees();
+    throttledUpdateAllDecorations();
+    throttledUpdateCursorContext();
+    
+    const fileName = path.basename(vscode.Uri.parse(uri).fsPath);
+    if (moved) {
+      vscode.window.setStatusBarMessage(`🔖 Re-anchored ${moved} bookmark(s) in ${fileName}`, 4000);
+    }
+    if (lost) {
+      vscode.window.showWarningMessage(`${lost} bookmark(s) in ${fileName} could not be found after the file changed and were flagged.`);
+    }
+  }
+
+  async function reanchorDocument(doc) {
+    const uri = doc.uri.toString();
+    if (!getBookmarkIndex().inFile(uri).length) return;
+    await reanchorBookmarks(uri, (i) => doc.lineAt(i).text, doc.lineCount);
+  }
+
+  async function reanchorFromDisk(fileUri) {
+    const uri = fileUri.toString();
+    if (!getBookmarkIndex().inFile(uri).length) return;
+    // Open documents are kept in sync by the onDidChangeTextDocument handler
+    if (vscode.workspace.textDocuments.some(d => d.uri.toString() === uri)) return;
+    
+    try {
+      const bytes = await vscode.workspace.fs.readFile(fileUri);
+      const lines = Buffer.from(bytes).toString("utf8").split(/\r?\n/);
+      await reanchorBookmarks(uri, (i) => lines[i], lines.length);
+    } catch (err) {
+      debugLog(`[Re-anchor] Could not read ${uri}:`, err);
+    }
+  }
+
+  // --- File renames, moves and deletions ---
+  const isInside = (uri, folderUri) => uri.startsWith(folderUri.endsWith("/") ? folderUri : folderUri + "/");
+
+  async function followRenamedFiles(event) {
+    const bookmarks = getBookmarks();
+    let updated = 0;
+    
+    for (const { oldUri, newUri } of event.files) {
+      const oldKey = oldUri.toString();
+      const newKey = newUri.toString();
+      for (const bm of bookmarks) {
+        if (bm.uri === oldKey) {
+          bm.uri = newKey;
+        } else if (isInside(bm.uri, oldKey)) {
+          // A folder was renamed or moved: keep the path below it
+          bm.uri = newKey.replace(/\/$/, "") + bm.uri.slice(oldKey.replace(/\/$/, "").length);
+        } else {
+          continue;
+        }
+        updateWorkspaceLocation(bm);
+        delete bm.orphaned;
+        updated++;
+      }
+    }
+    
+    if (!updated) return;
+    
+    await saveBookmarks(bookmarks);
+    throttledRefreshTrees();
+    throttledUpdateAllDecorations();
+    throttledUpdateCursorContext();
+    vscode.window.setStatusBarMessage(`🔖 Updated ${updated} bookmark(s) after rename`, 4000);
+  }
+
+  async function orphanDeletedFiles(uris) {
+    const bookmarks = getBookmarks();
+    let orphaned = 0;
+    
+    for (const fileUri of uris) {
+      const key = fileUri.toString();
+      for (const bm of bookmarks) {
+        if (!bm.orphaned && (bm.uri === key || isInside(bm.uri, key))) {
+          bm.orphaned = true;
+          orphaned++;
+        }
+      }
+    }
+    
+    if (!orphaned) return;
+    
+    await saveBookmarks(bookmarks);
+    throttledRefreshTrees();
+    throttledUpdateAllDecorations();
+    vscode.window.setStatusBarMessage(`🔖 ${orphaned} bookmark(s) orphaned by deleted files`, 4000);
+  }
+
+  async function relocateBookmark(bm) {
+    const oldUri = vscode.Uri.parse(bm.uri);
+    const uris = await vscode.window.showOpenDialog({
+      canSelectMany: false,
+      defaultUri: vscode.Uri.file(path.dirname(oldUri.fsPath)),
+      openLabel: "Relocate Bookmark"
+    });
+    if (!uris || !uris[0]) return false;
+    
+    const stored = getBookmarks().find(b => isSameBookmark(b, bm));
+    if (!stored) return false;
+    
+    stored.uri = uris[0].toString();
+    updateWorkspaceLocation(stored);
+    delete stored.orphaned;
+    await saveBookmarks(getBookmarks());
+    
+    const doc = await vscode.workspace.openTextDocument(uris[0]);
+    await reanchorBookmarks(stored.uri, (i) => doc.lineAt(i).text, doc.lineCount);
+    if (stored.line >= doc.lineCount) {
+      stored.line = Math.max(0, doc.lineCount - 1);
+      await saveBookmarks(getBookmarks());
+    }
+    
+    groupsProv.refresh();
+    bookmarksProv.refresh();
+    throttledUpdateAllDecorations();
+    vscode.window.showInformationMessage(`Bookmark relocated to ${path.basename(uris[0].fsPath)}`);
+    return true;
+  }
+
+  // Offers to relocate or remove a bookmark whose file was deleted; returns true when it was handled
+  async function resolveOrphanedBookmark(bm) {
+    if (!bm.orphaned) return false;
+    
+    const choice = await vscode.window.showWarningMessage(
+      `The file of this bookmark was deleted: ${vscode.Uri.parse(bm.uri).fsPath}`,
+      "Relocate...", "Remove"
+    );
+    if (choice === "Relocate...") {
+      await relocateBookmark(bm);
+    } else if (choice === "Remove") {
+      await vscode.commands.executeCommand("bm.removeBookmark", { bookmark: bm });
+    }
+    return true;
+  }
+
+  // --- Health check ---
+  // Scans every bookmark against the file on disk (or the open document) without opening editors
+  const PROBLEM_KINDS = {
+    missingFile: { label: "File not found", icon: "$(error)" },
+    pastEnd: { label: "Line past the end of the file", icon: "$(warning)" },
+    contentChanged: { label: "Line content no longer matches", icon: "$(warning)" }
+  };
+  let validationStatusBarItem = null;
+  // The last result per bookmark; files are read again only when they change on disk
+  let validationProblems = [];
+
+  const inFiles = (bm, fileUris) => fileUris.some(uri => bm.uri === uri || isInside(bm.uri, uri));
+
+  /**
+   * @param {string[]} [fileUris] only checks the bookmarks in these files or folders
+   * @returns {Promise<{ kind: string, bookmark: Bookmark, lines: string[] | null, match: { line: number, exact: boolean } | null }[]>}
+   * `match` is where the bookmarked content was found again, if anywhere
+   */
+  async function findBookmarkProblems(fileUris) {
+    const lineCache = new Map();
+    const problems = [];
+    const bookmarks = fileUris ? getBookmarks().filter(bm => inFiles(bm, fileUris)) : getBookmarks();
+    for (const bm of bookmarks) {
+      const lines = await readFileLines(bm.uri, lineCache);
+      if (!lines) {
+        problems.push({ kind: "missingFile", bookmark: bm, lines, match: null });
+        continue;
+      }
+      const lastLine = isRangeBookmark(bm) ? Math.max(bm.line, bm.endLine) : bm.line;
+      let kind = null;
+      if (lastLine >= lines.length) {
+        kind = "pastEnd";
+      } else if (bm.anchorLost || (bm.content && lines[bm.line].trim() !== bm.content)) {
+        // Bookmarks without content (e.g. from old imports) cannot be checked
+        kind = "contentChanged";
+      }
+      if (!kind) continue;
+      const match = locateAnchor((i) => lines[i], lines.length, bm);
+      problems.push({ kind, bookmark: bm, lines, match });
+    }
+    return problems;
+  }
+
+  function updateValidationStatusBar(count) {
+    if (!count) {
+      if (validationStatusBarItem) validationStatusBarItem.hide();
+      return;
+    }
+    if (!validationStatusBarItem) {
+      validationStatusBarItem = vscode.window.createStatusBarItem(vscode.StatusBarAlignment.Right, 99);
+      validationStatusBarItem.command = "bm.validateBookmarks";
+      validationStatusBarItem.backgroundColor = new vscode.ThemeColor("statusBarItem.warningBackground");
+    }
+    validationStatusBarItem.text = `$(bookmark) $(warning) ${count}`;
+    validationStatusBarItem.tooltip = `${count} bookmark${count === 1 ? "" : "s"} point at a missing file, a missing line or changed content. Click to review.`;
+    validationStatusBarItem.show();
+  }
+
+  // Checks the bookmarks in the given files again (all of them when omitted) and keeps the rest
+  async function recheckBookmarks(fileUris) {
+    try {
+      const found = await findBookmarkProblems(fileUris);
+      validationProblems = fileUris
+        ? validationProblems.filter(p => !inFiles(p.bookmark, fileUris)).concat(found)
+        : found;
+      updateValidationStatusBar(validationProblems.length);
+    } catch (err) {
+      debugLog("[Validate] Scan failed:", err);
+    }
+  }
+
+  // Deleted or repaired bookmarks no longer count; this needs no file reads, so it runs on every change
+  function forgetResolvedProblems() {
+    const index = getBookmarkIndex();
+    const remaining = validationProblems.filter(p => index.inFile(p.bookmark.uri).some(b => isSameBookmark(b, p.bookmark)));
+    if (remaining.length === validationProblems.length) return;
+    validationProblems = remaining;
+    updateValidationStatusBar(validationProblems.length);
+  }
+
+  async function reanchorAndRecheck(fileUri) {
+    const uri = fileUri.toString();
+    if (!getBookmarkIndex().inFile(uri).length) return;
+    await reanchorFromDisk(fileUri);
+    await recheckBookmarks([uri]);
+  }
+
+  function describeProblem({ kind, bookmark: bm, lines, match }) {
+    if (kind === "missingFile") return vscode.Uri.parse(bm.uri).fsPath;
+    const found = match ? `found ${match.exact ? "" : "similar content "}at line ${match.line + 1}` : "content not found in the file";
+    if (kind === "pastEnd") return `The file has ${lines.length} lines; ${found}`;
+    return `Line ${bm.line + 1} is now "${lines[bm.line].trim()}"; ${found}`;
+  }
+
+  // Re-anchoring can land on a line the group already has; the moved bookmark then goes to the trash
+  async function reanchorProblems(problems) {
+    const all = getBookmarks();
+    const duplicates = [];
+    for (const { bookmark, lines, match } of problems) {
+      const stored = all.find(b => isSameBookmark(b, bookmark));
+      if (!stored || !match) continue;
+      moveToAnchor(stored, (i) => lines[i], lines.length, match.line);
+      if (all.some(b => b !== stored && isSameBookmark(b, stored))) duplicates.push(stored);
+    }
+    await trashBookmarks(duplicates, "merged duplicate");
+    await saveBookmarks(all.filter(b => !duplicates.includes(b)));
+  }
+
+  async function deleteProblems(problems) {
+    const all = getBookmarks();
+    const removing = all.filter(b => problems.some(p => isSameBookmark(b, p.bookmark)));
+    await trashBookmarks(removing, "removed");
+    await saveBookmarks(all.filter(b => !removing.includes(b)));
+  }
+
+  async function pickProblemFix(problem) {
+    const actions = [];
+    if (problem.match) {
+      actions.push({ label: `$(pin) Re-anchor to Line ${problem.match.line + 1}`, description: problem.lines[problem.match.line].trim(), fix: "reanchor" });
+    }
+    actions.push(
+      { label: "$(go-to-file) Relocate to Another File...", fix: "relocate" },
+      { label: "$(trash) Delete Bookmark", description: "moves it to Recently Deleted", fix: "delete" }
+    );
+    const picked = await vscode.window.showQuickPick(actions, { placeHolder: describeProblem(problem) });
+    return picked?.fix;
+  }
+
+  // Lists the problems by kind and applies one fix at a time (or one to a whole kind) until dismissed
+  async function validateBookmarks() {
+    for (;;) {
+      const problems = await vscode.window.withProgress(
+        { location: vscode.ProgressLocation.Window, title: "Validating bookmarks" },
+        () => findBookmarkProblems()
+      );
+      validationProblems = problems;
+      updateValidationStatusBar(problems.length);
+      if (!problems.length) {
+        return vscode.window.showInformationMessage(`All ${getBookmarks().length} bookmarks are valid`);
+      }
+      
+      const items = [];
+      for (const [kind, { label, icon }] of Object.entries(PROBLEM_KINDS)) {
+        const ofKind = problems.filter(p => p.kind === kind);
+        if (!ofKind.length) continue;
+        items.push({ label: `${label} (${ofKind.length})`, kind: vscode.QuickPickItemKind.Separator });
+        for (const problem of ofKind) {
+          const bm = problem.bookmark;
+          items.push({
+            label: `${icon} ${bm.label || bm.content || `(Line ${bm.line + 1})`}`,
+            description: `${vscode.workspace.asRelativePath(vscode.Uri.parse(bm.uri), true)}:${bm.line + 1} · ${bm.group.replace(/\//g, " ❯ ")}`,
+            detail: describeProblem(problem),
+            problems: [problem]
+          });
+        }
+        const found = ofKind.filter(p => p.match);
+        if (found.length > 1) {
+          items.push({ label: `$(pin) Re-anchor All ${found.length} Found by Content`, problems: found, fix: "reanchor" });
+        }
+        if (ofKind.length > 1) {
+          items.push({ label: `$(trash) Delete All ${ofKind.length}`, problems: ofKind, fix: "delete" });
+        }
+      }
+      
+      const picked = await vscode.window.showQuickPick(items, {
+        placeHolder: `${problems.length} bookmark${problems.length === 1 ? " needs" : "s need"} attention. Pick one to fix it`,
+        matchOnDescription: true,
+        matchOnDetail: true
+      });
+      if (!picked) return;
+      
+      const fix = picked.fix || await pickProblemFix(picked.problems[0]);
+      if (!fix) continue;
+      await recordOperation("Repair Bookmarks", async () => {
+        if (fix === "reanchor") {
+          await reanchorProblems(picked.problems);
+        } else if (fix === "delete") {
+          await deleteProblems(picked.problems);
+        } else {
+          await relocateBookmark(picked.problems[0].bookmark);
+        }
+      });
+      groupsProv.refresh();
+      bookmarksProv.refresh();
+      throttledUpdateAllDecorations();
+      throttledUpdateCursorContext();
+    }
+  }
+
+  // Swaps a bookmark with the previous (-1) or next (1) bookmark of its group
+  async function swapWithNeighbour(bm, direction) {
+    const siblings = getBookmarkIndex().inGroup(bm.group);
+    const position = siblings.findIndex(b => isSameBookmark(b, bm));
+    const neighbour = siblings[position + direction];
+    if (position < 0 || !neighbour) return;
+    
+    const all = getBookmarks();
+    const from = all.indexOf(siblings[position]);
+    const to = all.indexOf(neighbour);
+    [all[from], all[to]] = [all[to], all[from]];
+    await saveBookmarks(all);
+    groupsProv.refresh();
+    bookmarksProv.refresh();
+  }
+
+  // --- Bookmark notes ---
+  function findBookmarkAtCursor(editor) {
+    const uri = editor.document.uri.toString();
+    const line = editor.selection.active.line;
+    const onLine = getBookmarkIndex().atLine(uri, line);
+    return onLine.find(b => b.group === activeGroup) || onLine[0];
+  }
+
+  // Notes are edited in a scratch Markdown document so they can span several lines
+  async function editNoteInDocument(title, note) {
+    const doc = await vscode.workspace.openTextDocument({ language: "markdown", content: note || "" });
+    await vscode.window.showTextDocument(doc, { preview: false });
+    
+    const choice = await vscode.window.showInformationMessage(
+      `Editing note for "${title}". Click "Save Note" when you are done.`,
+      "Save Note", "Cancel"
+    );
+    const text = doc.getText().trim();
+    
+    // Discard the scratch document without a "Save changes?" prompt
+    const scratch = vscode.window.visibleTextEditors.find(ed => ed.document === doc);
+    if (scratch) {
+      await vscode.window.showTextDocument(doc, scratch.viewColumn);
+      await vscode.commands.executeCommand("workbench.action.revertAndCloseActiveEditor");
+    }
+    
+    return choice === "Save Note" ? text : undefined;
+  }
+
+  // --- Tags ---
+  // Tags are free-form labels that cut across groups, e.g. "needs-review"
+  const normalizeTag = (tag) => tag.trim().replace(/^#+/, "").replace(/\s+/g, "-");
+
+  function getAllTags() {
+    const tags = new Set();
+    for (const b of getBookmarks()) {
+      for (const tag of b.tags || []) tags.add(tag);
+    }
+    return [...tags].sort((a, b) => a.localeCompare(b));
+  }
+
+  const matchesTagFilter = (bm) => {
+    const tag = getTagFilter();
+    return !tag || (bm.tags || []).includes(tag);
+  };
+
+  // Multi-select quick pick over known tags; typing a name that does not exist yet offers it as a new tag
+  function pickTags(current) {
+    return new Promise((resolve) => {
+      const qp = vscode.window.createQuickPick();
+      const baseItems = [...new Set([...getAllTags(), ...current])].map(tag => ({ label: tag }));
+      let pending = null;
+      
+      qp.title = "Bookmark Tags";
+      qp.placeholder = "Select tags, or type a new tag and press Enter";
+      qp.canSelectMany = true;
+      qp.items = baseItems;
+      qp.selectedItems = baseItems.filter(item => current.includes(item.label));
+      
+      qp.onDidChangeValue((value) => {
+        const tag = normalizeTag(value);
+        const selected = qp.selectedItems.filter(item => item !== pending);
+        pending = tag && !baseItems.some(item => item.label === tag)
+          ? { label: tag, description: "(new tag)" }
+          : null;
+        qp.items = pending ? [pending, ...baseItems] : baseItems;
+        qp.selectedItems = pending ? [...selected, pending] : selected;
+      });
+      
+      let accepted = false;
+      qp.onDidAccept(() => {
+        accepted = true;
+        resolve(qp.selectedItems.map(item => item.label));
+        qp.hide();
+      });
+      qp.onDidHide(() => {
+        if (!accepted) resolve(undefined);
+        qp.dispose();
+      });
+      qp.show();
+    });
+  }
+
+  async function pickExistingTag(placeHolder) {
+    const tags = getAllTags();
+    if (!tags.length) {
+      vscode.window.showInformationMessage("No tagged bookmarks yet. Use \"BM: Edit Bookmark Tags\" to add tags.");
+      return undefined;
+    }
+    const counts = new Map();
+    for (const b of getBookmarks()) {
+      for (const tag of b.tags || []) counts.set(tag, (counts.get(tag) || 0) + 1);
+    }
+    const picked = await vscode.window.showQuickPick(
+      tags.map(tag => ({ label: `#${tag}`, description: `${counts.get(tag)} bookmark(s)`, tag })),
+      { placeHolder }
+    );
+    return picked?.tag;
+  }
+
+  // --- Undo / redo ---
+  // Every entry keeps what the operation's own saves changed (see "Undo tracking"), applied in
+  // reverse to undo it. The history lives in workspaceState so it survives reloading the window.
+  const HISTORY_KEY = "bookmarkHistory";
+  const HISTORY_LIMIT = 50;
+  const historyState = {
+    bookmarks: [() => getBookmarks(), (value) => saveBookmarks(value)],
+    bookmarkGroups: [() => getGroups(), (value) => saveGroups(value)],
+    bookmarkGroupOrder: [() => getGroupOrder(), (value) => saveGroupOrder(value)],
+    hiddenBookmarkGroups: [() => getHiddenGroups(), (value) => saveHiddenGroups(value)],
+    activeBookmarkGroup: [() => getActiveGroup(), (value) => setActiveGroup(value)],
+    bookmarkTrash: [() => getTrash(), (value) => saveTrash(value)]
+  };
+  let history = context.workspaceState.get(HISTORY_KEY, { undo: [], redo: [] });
+  // Entries of older versions held whole copies of the state and cannot be applied
+  if ([...history.undo, ...history.redo].some(entry => !entry.changes)) {
+    history = { undo: [], redo: [] };
+  }
+
+  // Takes what is stored now as the base for the next diff, after a reload replaced the state
+  function resetSavedTexts() {
+    isDirtyBookmarks = true;
+    isDirtyGroups = true;
+    for (const [key, [get]] of Object.entries(historyState)) {
+      savedTexts.set(key, toEntryTexts(key, get()));
+    }
+  }
+
+  const saveHistory = () => context.workspaceState.update(HISTORY_KEY, history);
+
+  function updateHistoryContext() {
+    vscode.commands.executeCommand("setContext", "bm.canUndo", history.undo.length > 0);
+    vscode.commands.executeCommand("setContext", "bm.canRedo", history.redo.length > 0);
+  }
+
+  // Runs a command body and records what its saves changed as one undoable step
+  async function recordOperation(label, operation) {
+    const outer = operationContext.getStore();
+    if (outer && !outer.done) return operation(); // Nested operations belong to the outer one
+    
+    const recording = { changes: [], toast: null, done: false };
+    try {
+      return await operationContext.run(recording, operation);
+    } finally {
+      // Timers and promise callbacks started by the operation may still run in its context
+      recording.done = true;
+      const { toast } = recording;
+      
+      let entry = null;
+      if (recording.changes.length) {
+        entry = { id: Date.now() + Math.random(), label, changes: recording.changes };
+        history.undo.push(entry);
+        history.undo = history.undo.slice(-HISTORY_LIMIT);
+        history.redo = [];
+        await saveHistory();
+        updateHistoryContext();
+      }
+      if (toast) showUndoToast(toast, entry);
+    }
+  }
+
+  const recorded = (label, command) => (...args) => recordOperation(label, () => command(...args));
+
+  // Shows the message with an "Undo" button once the current operation has been recorded
+  function offerUndo(message) {
+    const recording = operationContext.getStore();
+    if (recording && !recording.done) {
+      recording.toast = message;
+    } else {
+      vscode.window.showInformationMessage(message);
+    }
+  }
+
+  function showUndoToast(message, entry) {
+    if (!entry) {
+      vscode.window.showInformationMessage(message);
+      return;
+    }
+    vscode.window.showInformationMessage(message, "Undo").then(choice => {
+      if (choice !== "Undo") return;
+      const latest = history.undo[history.undo.length - 1];
+      if (latest && latest.id === entry.id) {
+        stepHistory(history.undo, history.redo, "Undid");
+      } else {
+        vscode.window.showWarningMessage(`Bookmarks changed again after "${entry.label}". Use BM: Undo to step back through the changes.`);
+      }
+    });
+  }
+
+  // Restores the newest entry of `from` and records the current values in `to`
+  async function stepHistory(from, to, verb) {
+    const entry = from.pop();
+    if (!entry) return false;
+    
+    const undoing = from === history.undo;
+    const changes = undoing
+      ? [...entry.changes].reverse()
+      : entry.changes.map(change => ({ ...change, removed: change.added, added: change.removed }));
+    for (const change of changes) {
+      historyState[change.key][0](); // Reloads the bookmarks and groups if they are stale
+      const texts = revertEntryTexts(change.key, savedTexts.get(change.key), change);
+      await historyState[change.key][1](fromEntryTexts(change.key, texts));
+    }
+    to.push(entry);
+    await saveHistory();
+    updateHistoryContext();
+    
+    const groups = getGroups();
+    if (!groups[activeGroup]) {
+      await setActiveGroup(getGroupOrder().find(g => groups[g]) || Object.keys(groups)[0]);
+    }
+    // Colours and groups may have changed; decorations are recreated on the next update
+    disposeAllDecorations();
+    // Files may have been edited since; find restored bookmarks at their current lines
+    for (const doc of vscode.workspace.textDocuments) {
+      await reanchorDocument(doc);
+    }
+    
+    groupsProv.refresh();
+    bookmarksProv.refresh();
+    viewBookmarks.title = `Bookmarks: ${activeGroup}`;
+    updateViewDescriptions();
+    throttledUpdateAllDecorations();
+    throttledUpdateCursorContext();
+    vscode.window.setStatusBarMessage(`🔖 ${verb}: ${entry.label}`, 3000);
+    return true;
+  }
+
+  // --- Trash ("Recently Deleted") ---
+  // Removed bookmarks and deleted groups are kept here until the retention period runs out.
+  const TRASH_KEY = "bookmarkTrash";
+  const TRASH_LIMIT = 500; // A large edit can drop many bookmarks at once; only the newest are kept
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  const getTrash = () => readState(TRASH_KEY, []);
+  const saveTrash = (entries) => {
+    trackWrite(TRASH_KEY, entries);
+    return writeState(TRASH_KEY, entries);
+  };
+  const newTrashId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+  const copyOf = (value) => JSON.parse(JSON.stringify(value));
+
+  // A retention of 0 days keeps entries until the trash is emptied
+  function withinRetention(entries) {
+    const { trashRetentionDays } = getConfig();
+    const cutoff = trashRetentionDays > 0 ? Date.now() - trashRetentionDays * DAY_MS : -Infinity;
+    return entries.filter(entry => entry.deletedAt >= cutoff).slice(-TRASH_LIMIT);
+  }
+
+  async function purgeExpiredTrash() {
+    const trash = getTrash();
+    const kept = withinRetention(trash);
+    if (kept.length !== trash.length) {
+      await saveTrash(kept);
+      if (groupsProv) groupsProv.refresh();
+    }
+  }
+
+  async function trashBookmarks(bookmarks, reason) {
+    if (!bookmarks.length) return;
+    const deletedAt = Date.now();
+    const entries = bookmarks.map(bookmark => ({ id: newTrashId(), kind: "bookmark", deletedAt, reason, bookmark: copyOf(bookmark) }));
+    await saveTrash(withinRetention([...getTrash(), ...entries]));
+  }
+
+  // `groupColors` holds the group and its sub-groups, `bookmarks` everything that was in them
+  async function trashGroup(group, groupColors, bookmarks) {
+    const entry = { id: newTrashId(), kind: "group", deletedAt: Date.now(), group, groups: copyOf(groupColors), bookmarks: copyOf(bookmarks) };
+    await saveTrash(withinRetention([...getTrash(), entry]));
+  }
+
+  // Puts a bookmark back into `all`. When the same bookmark exists again, its missing details
+  // are filled in from the deleted one instead and false is returned.
+  function restoreBookmarkInto(all, bookmark, groups) {
+    const bm = { ...bookmark, group: groups[bookmark.group] ? bookmark.group : activeGroup };
+    
+    // Lines deleted at the end of a file: come back on its last line
+    const doc = vscode.workspace.textDocuments.find(d => d.uri.toString() === bm.uri);
+    if (doc && bm.line >= doc.lineCount) {
+      const lastLine = Math.max(0, doc.lineCount - 1);
+      if (isRangeBookmark(bm)) {
+        bm.column = 0;
+        bm.endLine = lastLine;
+        bm.endColumn = doc.lineAt(lastLine).text.length;
+      }
+      bm.line = lastLine;
+    }
+    
+    const existing = all.find(b => isSameBookmark(b, bm));
+    if (existing) {
+      if (!existing.label && bm.label) existing.label = bm.label;
+      if (!existing.note && bm.note) existing.note = bm.note;
+      if (bm.tags) existing.tags = [...new Set([...(existing.tags || []), ...bm.tags])];
+      return false;
+    }
+    all.push(bm);
+    return true;
+  }
+
+  async function restoreFromTrash(entryIds) {
+    const trash = getTrash();
+    const restoring = trash.filter(entry => entryIds.includes(entry.id));
+    if (!restoring.length) return;
+    
+    const groups = getGroups();
+    const order = getGroupOrder();
+    const all = getBookmarks();
+    const created = [];
+    let restored = 0;
+    let merged = 0;
+    
+    // Oldest first, so a group comes back before bookmarks removed from it afterwards
+    for (const entry of [...restoring].sort((a, b) => a.deletedAt - b.deletedAt)) {
+      if (entry.kind === "group") {
+        for (const groupPath of Object.keys(entry.groups)) {
+          created.push(...ensureGroupPath(groups, order, groupPath,
+            (missing) => entry.groups[missing] || hslToHex(Math.random() * 360, 70, 80)));
+        }
+      }
+      for (const bookmark of entry.kind === "group" ? entry.bookmarks : [entry.bookmark]) {
+        if (restoreBookmarkInto(all, bookmark, groups)) restored++;
+        else merged++;
+      }
+    }
+    
+    await saveGroups(groups);
+    await saveGroupOrder(order);
+    await saveBookmarks(all);
+    await saveTrash(trash.filter(entry => !entryIds.includes(entry.id)));
+    created.forEach(g => ensureDecorationForGroup(g, true));
+    
+    // The files may have changed while the bookmarks were in the trash
+    const uris = new Set(restoring.flatMap(entry => entry.kind === "group" ? entry.bookmarks.map(b => b.uri) : [entry.bookmark.uri]));
+    for (const doc of vscode.workspace.textDocuments) {
+      if (uris.has(doc.uri.toString())) await reanchorDocument(doc);
+    }
+    
+    groupsProv.refresh();
+    bookmarksProv.refresh();
+    throttledUpdateAllDecorations();
+    throttledUpdateCursorContext();
+    vscode.window.showInformationMessage(
+      `Restored ${restored} bookmark${restored === 1 ? "" : "s"}` +
+      (merged ? `, ${merged} merged into existing bookmarks` : "")
+    );
+  }
+
+  // --- Jump history ---
+  // Every jump remembers where it came from so Go Back / Go Forward can retrace it.
+  // Like the editor's own navigation history it only lasts for the session.
+  const JUMP_HISTORY_LIMIT = 50;
+  let jumpHistory = [];
+  let jumpIndex = -1;
+
+  function currentLocation() {
+    const editor = vscode.window.activeTextEditor;
+    if (!editor) return null;
+    const { line, character } = editor.selection.active;
+    return { uri: editor.document.uri.toString(), line, character };
+  }
+
+  const sameSpot = (a, b) => !!a && !!b && a.uri === b.uri && a.line === b.line;
+
+  function recordJump(origin) {
+    const target = currentLocation();
+    if (!target || sameSpot(origin, target)) return;
+    
+    // A new jump drops everything ahead of the current stop, like a browser
+    jumpHistory = jumpHistory.slice(0, jumpIndex + 1);
+    if (origin) {
+      if (sameSpot(jumpHistory[jumpHistory.length - 1], origin)) jumpHistory.pop();
+      jumpHistory.push(origin);
+    }
+    jumpHistory.push(target);
+    if (jumpHistory.length > JUMP_HISTORY_LIMIT) {
+      jumpHistory = jumpHistory.slice(-JUMP_HISTORY_LIMIT);
+    }
+    jumpIndex = jumpHistory.length - 1;
+  }
+
+  // Opens a location and scrolls to it. All jumps go through here so they land in the history.
+  async function jumpToLocation(uri, line, group, selectionRange, record = true) {
+    const origin = currentLocation();
+    const doc = await vscode.workspace.openTextDocument(vscode.Uri.parse(uri));
+    const ed = await vscode.window.showTextDocument(doc);
+    await revealRangeWithAnimation(ed, line, origin?.uri === uri, group, selectionRange);
+    if (record) recordJump(origin);
+  }
+
+  // Before leaving the current stop, remember the exact spot. If the cursor wandered off
+  // since the last jump, that spot becomes a stop of its own so Go Forward can return to it.
+  function settleCurrentStop() {
+    const here = currentLocation();
+    if (!here || !jumpHistory.length) return;
+    if (sameSpot(here, jumpHistory[jumpIndex])) {
+      jumpHistory[jumpIndex].character = here.character;
+    } else {
+      jumpHistory.splice(jumpIndex + 1, 0, here);
+      jumpIndex++;
+    }
+  }
+
+  async function openJumpEntry(entry) {
+    const position = new vscode.Position(entry.line, entry.character);
+    try {
+      await jumpToLocation(entry.uri, entry.line, null, new vscode.Range(position, position), false);
+    } catch (error) {
+      vscode.window.showErrorMessage(`Failed to open ${vscode.workspace.asRelativePath(vscode.Uri.parse(entry.uri), true)}: ${error.message}`);
+    }
+  }
+
+  async function stepJumpHistory(delta) {
+    settleCurrentStop();
+    const entry = jumpHistory[jumpIndex + delta];
+    if (!entry) {
+      vscode.window.setStatusBarMessage(delta < 0 ? "🔖 No earlier jump" : "🔖 No later jump", 2000);
+      return;
+    }
+    jumpIndex += delta;
+    await openJumpEntry(entry);
+  }
+
+  // Called from the document change handler, like the bookmark and mark adjustments
+  function shiftJumpHistory(doc, changes) {
+    const docUri = doc.uri.toString();
+    for (const entry of jumpHistory) {
+      if (entry.uri !== docUri) continue;
+      for (const change of changes) {
+        shiftBookmark(entry, change);
+      }
+      entry.line = Math.min(entry.line, Math.max(0, doc.lineCount - 1));
+    }
+  }
+
+  // --- Marks ---
+  // Vim-style marks sit beside the groups: a-z are local to one file, A-Z and the
+  // numbered slots 0-9 are global. They are personal, so they stay in workspaceState.
+  const MARKS_KEY = "bookmarkMarks";
+  const MARK_PATTERN = /^[a-zA-Z0-9]$/;
+  const LOCAL_MARK_COLOR = "#90caf9";
+  const GLOBAL_MARK_COLOR = "#ffcc80";
+
+  const getMarks = () => readState(MARKS_KEY, []);
+  const saveMarks = (marks) => writeState(MARKS_KEY, marks);
+  const isGlobalMark = (mark) => !/[a-z]/.test(mark);
+
+  // Marks that can be jumped to from the given file, listed like Vim's :marks (a-z, A-Z, 0-9)
+  function marksFor(uri) {
+    const rank = (mark) => /[a-z]/.test(mark) ? 0 : /[A-Z]/.test(mark) ? 1 : 2;
+    return getMarks()
+      .filter(m => isGlobalMark(m.mark) || m.uri === uri)
+      .sort((a, b) => rank(a.mark) - rank(b.mark) || (a.mark < b.mark ? -1 : 1));
+  }
+
+  function findMark(mark, uri) {
+    return getMarks().find(m => m.mark === mark && (isGlobalMark(mark) || m.uri === uri));
+  }
+
+  function markPickItem(m) {
+    const fileName = vscode.workspace.asRelativePath(vscode.Uri.parse(m.uri), true);
+    return {
+      label: m.mark,
+      description: m.content || "",
+      detail: `${fileName}:${m.line + 1}`,
+      mark: m
+    };
+  }
+
+  async function pickMark(uri, placeHolder, filter = () => true) {
+    const marks = marksFor(uri).filter(filter);
+    if (!marks.length) {
+      vscode.window.showInformationMessage("No marks set.");
+      return undefined;
+    }
+    const picked = await vscode.window.showQuickPick(marks.map(markPickItem), { placeHolder, matchOnDetail: true });
+    return picked?.mark;
+  }
+
+  async function setMark(mark) {
+    const editor = vscode.window.activeTextEditor;
+    if (!editor) return;
+    const uri = editor.document.uri.toString();
+    const position = editor.selection.active;
+    
+    const marks = getMarks().filter(m => !(m.mark === mark && (isGlobalMark(mark) || m.uri === uri)));
+    marks.push({
+      mark,
+      uri,
+      line: position.line,
+      column: position.character,
+      content: editor.document.lineAt(position.line).text.trim()
+    });
+    await saveMarks(marks);
+    throttledUpdateAllDecorations();
+    vscode.window.setStatusBarMessage(`🔖 Mark '${mark}' set on line ${position.line + 1}`, 2500);
+  }
+
+  async function jumpToMark(mark) {
+    const editor = vscode.window.activeTextEditor;
+    const uri = editor?.document.uri.toString();
+    const target = findMark(mark, uri);
+    if (!target) {
+      vscode.window.showInformationMessage(`Mark '${mark}' is not set${isGlobalMark(mark) ? "" : " in this file"}.`);
+      return;
+    }
+    if (target.uri !== uri && getConfig().allowCrossFileJump === false) {
+      vscode.window.showWarningMessage("Jumping to another file is disabled.");
+      return;
+    }
+    
+    try {
+      const position = new vscode.Position(target.line, target.column || 0);
+      await jumpToLocation(target.uri, target.line, null, new vscode.Range(position, position));
+    } catch (error) {
+      vscode.window.showErrorMessage(`Failed to open mark: ${error.message}`);
+    }
+  }
+
+  // Called from the document change handler before the bookmarks are adjusted
+  async function shiftMarks(doc, changes) {
+    const docUri = doc.uri.toString();
+    const marks = getMarks();
+    if (!marks.some(m => m.uri === docUri)) return;
+    
+    let moved = false;
+    for (const change of changes) {
+      for (const m of marks) {
+        if (m.uri === docUri && shiftMark(m, change)) moved = true;
+      }
+    }
+    // Like Vim, a mark whose line is deleted past the end of the file goes away
+    const kept = marks.filter(m => m.uri !== docUri || m.line < doc.lineCount);
+    for (const m of kept) {
+      if (m.uri !== docUri) continue;
+      const content = doc.lineAt(m.line).text.trim();
+      if (m.content !== content) {
+        m.content = content;
+        moved = true;
+      }
+    }
+    if (moved || kept.length !== marks.length) {
+      await saveMarks(kept);
+      throttledUpdateAllDecorations();
+    }
+  }
+
+  // --- Navigation helpers ---
+  const byFileThenLine = (a, b) => a.uri !== b.uri ? a.uri.localeCompare(b.uri) : a.line - b.line;
+
+  // Jumps to the first bookmark after (or, going backwards, before) (uri, line) in
+  // file-then-line order, wrapping around. Returns false when there is nothing to jump to.
+  async function jumpFromPosition(bookmarksList, currentUri, currentLine, forward = true) {
+    const config = getConfig();
+    let candidates = bookmarksList.filter(b => !b.orphaned);
+    
+    if (config.allowCrossFileJump === false) {
+      candidates = candidates.filter(b => b.uri === currentUri);
+    }
+    
+    const sorted = candidates.sort(byFileThenLine);
+    if (!sorted.length) return false;
+    
+    await revealBookmark(firstBeyond(sorted, currentUri, currentLine, forward) || sorted[forward ? 0 : sorted.length - 1]);
+    return true;
+  }
+
+  // First bookmark of a file-then-line sorted list after (or before) (uri, line)
+  function firstBeyond(sorted, currentUri, currentLine, forward) {
+    const sign = forward ? 1 : -1;
+    const ordered = forward ? sorted : [...sorted].reverse();
+    return ordered.find(b => {
+      const cmp = b.uri.localeCompare(currentUri || "") * sign;
+      return cmp > 0 || (cmp === 0 && (b.line - currentLine) * sign > 0);
+    });
+  }
+
+  async function revealBookmark(bm) {
+    try {
+      await jumpToLocation(bm.uri, bm.line, bm.group, bookmarkRange(bm));
+      return true;
+    } catch (error) {
+      vscode.window.showErrorMessage(`Failed to open bookmark: ${error.message}`, "Validate Bookmarks")
+        .then(choice => choice && validateBookmarks());
+      return false;
+    }
+  }
+
+  // Last-visited order needs to know when a bookmark was opened on purpose (from the
+  // tree or the search), so next/previous jumps do not count as visits.
+  async function markVisited(bm) {
+    const all = getBookmarks();
+    const stored = all.find(b => isSameBookmark(b, bm));
+    if (!stored) return;
+    stored.visitedAt = Date.now();
+    await saveBookmarks(all);
+  }
+
+  // --- Next / previous bookmark ---
+  const NAVIGATION_SCOPES = {
+    activeGroup: (bm) => bm.group === activeGroup,
+    activeGroupWithSubgroups: (bm) => bm.group === activeGroup || bm.group.startsWith(activeGroup + "/"),
+    allVisibleGroups: () => true,
+    currentFile: (bm, uri) => bm.uri === uri
+  };
+
+  function navigationCandidates(scope, currentUri) {
+    const inScope = NAVIGATION_SCOPES[scope] || NAVIGATION_SCOPES.activeGroup;
+    const hiddenGroups = getHiddenGroups();
+    // Hidden groups only drop out of the wider scopes; the active group is always navigable
+    const visible = (bm) => scope === "activeGroup" || !hiddenGroups.includes(bm.group);
+    return getBookmarks().filter(b => !b.orphaned && visible(b) && inScope(b, currentUri));
+  }
+
+  function sortForNavigation(bookmarksList, order) {
+    switch (order) {
+      case "custom": {
+        const rank = new Map(groupsInTreeOrder(getGroupOrder()).map((g, i) => [g, i]));
+        const stored = new Map(bookmarksList.map((b, i) => [b, i]));
+        const rankOf = (b) => rank.has(b.group) ? rank.get(b.group) : rank.size;
+        return [...bookmarksList].sort((a, b) => rankOf(a) - rankOf(b) || stored.get(a) - stored.get(b));
+      }
+      case "created":
+        return [...bookmarksList].sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0) || byFileThenLine(a, b));
+      case "lastVisited":
+        // Most recent first; bookmarks that were never opened follow in file order
+        return [...bookmarksList].sort((a, b) => (b.visitedAt || 0) - (a.visitedAt || 0) || byFileThenLine(a, b));
+      default:
+        return [...bookmarksList].sort(byFileThenLine);
+    }
+  }
+
+  // Remembered so that stepping through several bookmarks on the same line (in different
+  // groups) moves on instead of always restarting from the first of them
+  let lastNavigated = null;
+
+  async function navigateBookmarks(forward) {
+    const editor = vscode.window.activeTextEditor;
+    if (!editor) return;
+    
+    const config = getConfig();
+    const currentUri = editor.document.uri.toString();
+    const currentLine = editor.selection.active.line;
+    let candidates = navigationCandidates(config.navigationScope, currentUri);
+    if (config.allowCrossFileJump === false) {
+      candidates = candidates.filter(b => b.uri === currentUri);
+    }
+    if (!candidates.length) return;
+    
+    const sorted = sortForNavigation(candidates, config.navigationOrder);
+    const onCursor = (b) => b.uri === currentUri && currentLine >= b.line && currentLine <= (b.endLine ?? b.line);
+    let idx = lastNavigated && onCursor(lastNavigated) ? sorted.findIndex(b => isSameBookmark(b, lastNavigated)) : -1;
+    if (idx < 0) idx = sorted.findIndex(onCursor);
+    
+    let target;
+    if (idx >= 0) {
+      target = sorted[(idx + (forward ? 1 : -1) + sorted.length) % sorted.length];
+    } else if (config.navigationOrder === "fileLine") {
+      target = firstBeyond(sorted, currentUri, currentLine, forward) || sorted[forward ? 0 : sorted.length - 1];
+    } else {
+      target = sorted[forward ? 0 : sorted.length - 1];
+    }
+    
+    lastNavigated = target;
+    await revealBookmark(target);
+  }
+
+  async function jumpWithinGroup(args, forward) {
+    const editor = vscode.window.activeTextEditor;
+    const group = args?.group || activeGroup;
+    const uri = args?.uri || editor?.document.uri.toString();
+    const line = args?.line ?? editor?.selection.active.line ?? -1;
+    
+    const inGroup = [...getBookmarkIndex().inGroup(group)];
+    const jumped = await jumpFromPosition(inGroup, uri, line, forward);
+    if (!jumped) {
+      vscode.window.showInformationMessage(`No bookmarks in ${group.replace(/\//g, ' ❯ ')}`);
+    }
+  }
+
+  function formatReference(bm) {
+    const relPath = vscode.workspace.asRelativePath(vscode.Uri.parse(bm.uri), true);
+    return isRangeBookmark(bm) ? `${relPath}:${bm.line + 1}:${bm.column + 1}` : `${relPath}:${bm.line + 1}`;
+  }
+
+  // --- Hover ---
+  // Just enough to find the bookmark again when a hover command link is clicked
+  const bookmarkKey = (bm) => ({
+    uri: bm.uri,
+    line: bm.line,
+    group: bm.group,
+    column: bm.column,
+    endLine: bm.endLine,
+    endColumn: bm.endColumn
+  });
+
+  const commandLink = (title, command, args) =>
+    `[${title}](command:${command}?${encodeURIComponent(JSON.stringify(args))})`;
+
+  // Notes, labels and group names can come from a shared or imported file, so the hover
+  // only runs its own commands and never renders that text as trusted Markdown
+  const HOVER_COMMANDS = ["bm.removeBookmark", "bm.moveBookmarkToGroup", "bm.nextBookmarkInGroup", "bm.copyBookmarkReference"];
+
+  // appendText escapes Markdown but not HTML, which the hover allows for the coloured icon
+  const appendPlain = (md, text) => md.appendText(String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;"));
+
+  class BookmarkHoverProvider {
+    provideHover(document, position) {
+      const uri = document.uri.toString();
+      const hiddenGroups = getHiddenGroups();
+      const onLine = getBookmarkIndex().inFile(uri).filter(b =>
+        !hiddenGroups.includes(b.group) &&
+        (isRangeBookmark(b) ? b.line <= position.line && position.line <= b.endLine : b.line === position.line)
+      );
+      if (!onLine.length) return undefined;
+      
+      const groups = getGroups();
+      const contents = [];
+      
+      onLine.forEach((bm) => {
+        const md = new vscode.MarkdownString();
+        md.isTrusted = { enabledCommands: HOVER_COMMANDS };
+        md.supportHtml = true;
+        md.supportThemeIcons = true;
+        
+        const color = HEX_COLOR.test(groups[bm.group] || "") ? groups[bm.group] : "#fff59d";
+        md.appendMarkdown(`<span style="color:${color};">$(bookmark)</span> **`);
+        appendPlain(md, bm.group.replace(/\//g, ' ❯ '));
+        md.appendMarkdown("**");
+        if (bm.label) {
+          md.appendMarkdown(" — ");
+          appendPlain(md, bm.label);
+        }
+        md.appendMarkdown("\n\n");
+        
+        const details = [];
+        if (bm.createdAt) details.push(`Created ${new Date(bm.createdAt).toLocaleString()}`);
+        if (isRangeBookmark(bm)) details.push(describePosition(bm));
+        if (bm.tags && bm.tags.length) details.push(bm.tags.map(tag => `#${tag}`).join(" "));
+        if (details.length) {
+          md.appendMarkdown("*");
+          appendPlain(md, details.join(" · "));
+          md.appendMarkdown("*\n\n");
+        }
+        
+        const key = bookmarkKey(bm);
+        md.appendMarkdown([
+          commandLink("$(trash) Remove", "bm.removeBookmark", [{ bookmark: key }]),
+          commandLink("$(list-selection) Send To...", "bm.moveBookmarkToGroup", [{ bookmark: key }]),
+          commandLink("$(arrow-down) Next in Group", "bm.nextBookmarkInGroup", [{ group: bm.group, uri: bm.uri, line: bm.line }]),
+          commandLink("$(copy) Copy Reference", "bm.copyBookmarkReference", [{ bookmark: key }])
+        ].join(" &nbsp;|&nbsp; "));
+        contents.push(md);
+        
+        // Untrusted: no command links, no HTML
+        if (bm.note) contents.push(new vscode.MarkdownString(bm.note));
+      });
+      
+      return new vscode.Hover(contents, document.lineAt(position.line).range);
+    }
+  }
+
+  // --- CodeLens ---
+  class BookmarkCodeLensProvider {
+    constructor() {
+      this._onDidChangeCodeLenses = new vscode.EventEmitter();
+      this.onDidChangeCodeLenses = this._onDidChangeCodeLenses.event;
+    }
+
+    refresh() {
+      this._onDidChangeCodeLenses.fire();
+    }
+
+    provideCodeLenses(document) {
+      if (!getConfig().codeLens) return [];
+      
+      const uri = document.uri.toString();
+      const hiddenGroups = getHiddenGroups();
+      const index = getBookmarkIndex();
+      const inDoc = index.inFile(uri).filter(b => !b.orphaned && !hiddenGroups.includes(b.group));
+      if (!inDoc.length) return [];
+      
+      // Position of each bookmark within its group, in the order next/previous walk them
+      const groupOrder = new Map();
+      for (const group of new Set(inDoc.map(b => b.group))) {
+        groupOrder.set(group, index.inGroup(group).filter(b => !b.orphaned).sort(byFileThenLine));
+      }
+      
+      const lenses = [];
+      for (const bm of inDoc) {
+        if (bm.line >= document.lineCount) continue;
+        
+        const range = new vscode.Range(bm.line, 0, bm.line, 0);
+        const siblings = groupOrder.get(bm.group);
+        const position = siblings.indexOf(bm) + 1;
+        const key = bookmarkKey(bm);
+        const from = { group: bm.group, uri: bm.uri, line: bm.line };
+        
+        lenses.push(
+          new vscode.CodeLens(range, {
+            title: `🔖 ${bm.group.replace(/\//g, ' ❯ ')} · ${position}/${siblings.length}`,
+            command: ""
+          }),
+          new vscode.CodeLens(range, { title: "$(arrow-up) Previous", command: "bm.prevBookmarkInGroup", arguments: [from] }),
+          new vscode.CodeLens(range, { title: "$(arrow-down) Next", command: "bm.nextBookmarkInGroup", arguments: [from] }),
+          new vscode.CodeLens(range, { title: "Send To...", command: "bm.moveBookmarkToGroup", arguments: [{ bookmark: key }] }),
+          new vscode.CodeLens(range, { title: "Remove", command: "bm.removeBookmark", arguments: [{ bookmark: key }] })
+        );
+      }
+      return lenses;
+    }
+  }
+
+  // --- Export ---
+  const EXPORT_FORMATS = [
+    { id: "json", label: "JSON", extension: "json", description: "Full backup that can be imported again" },
+    { id: "markdown", label: "Markdown", extension: "md", description: "Heading per group, file:line links and code snippets" },
+    { id: "csv", label: "CSV", extension: "csv", description: "One row per bookmark, for spreadsheets" },
+    { id: "html", label: "HTML", extension: "html", description: "Standalone report with highlighted snippets" }
+  ];
+
+  const subtreeOf = (group) => getGroupOrder().filter(g => g === group || g.startsWith(group + "/"));
+
+  // Groups in tree order: each group followed by its subgroups
+  function groupsInTreeOrder(groupList) {
+    const order = getGroupOrder();
+    const known = order.filter(g => groupList.includes(g));
+    const result = [];
+    const visit = (parent) => {
+      const prefix = parent ? parent + "/" : "";
+      for (const g of known) {
+        if (g.startsWith(prefix) && !g.slice(prefix.length).includes("/")) {
+          result.push(g);
+          visit(g);
+        }
+      }
+    };
+    visit("");
+    // Subgroups whose parent is outside the selection (e.g. exporting a subtree)
+    for (const g of known) {
+      if (!result.includes(g)) {
+        result.push(g);
+        visit(g);
+      }
+    }
+    return result;
+  }
+
+  // Returns the groups to export, or undefined when cancelled
+  async function pickExportScope(groupFromMenu) {
+    if (groupFromMenu) return subtreeOf(groupFromMenu);
+    
+    const selectedGroup = viewGroups.selection.find(el => el instanceof GroupItem)?.group;
+    const scopes = [
+      { label: "All bookmarks", groups: getGroupOrder() },
+      { label: "Active group only", description: activeGroup.replace(/\//g, ' ❯ '), groups: [activeGroup] },
+      selectedGroup
+        ? { label: "Selected subtree", description: selectedGroup.replace(/\//g, ' ❯ '), groups: subtreeOf(selectedGroup) }
+        : { label: "Selected subtree", description: "Pick a group...", pick: true }
+    ];
+    const scope = await vscode.window.showQuickPick(scopes, { placeHolder: "Which bookmarks?" });
+    if (!scope) return undefined;
+    if (!scope.pick) return scope.groups;
+    
+    const root = await vscode.window.showQuickPick(
+      getGroupOrder().map(g => ({ label: g.replace(/\//g, ' ❯ '), group: g })),
+      { placeHolder: "Export which group (with its subgroups)?" }
+    );
+    return root ? subtreeOf(root.group) : undefined;
+  }
+
+  function buildJsonExport(bookmarks, scopeGroups) {
+    const groups = getGroups();
+    // Keep the ancestors of exported subgroups so the hierarchy imports intact
+    const withAncestors = getGroupOrder().filter(g =>
+      scopeGroups.some(s => s === g || s.startsWith(g + "/"))
+    );
+    return {
+      version: SCHEMA_VERSION,
+      bookmarks: bookmarks.map(b => toPortable(b, true)),
+      bookmarkGroups: Object.fromEntries(withAncestors.map(g => [g, groups[g]])),
+      bookmarkGroupOrder: withAncestors,
+      activeBookmarkGroup: withAncestors.includes(activeGroup) ? activeGroup : withAncestors[0],
+      hiddenBookmarkGroups: getHiddenGroups().filter(g => withAncestors.includes(g))
+    };
+  }
+
+  async function readFileLines(uri, cache) {
+    if (!cache.has(uri)) {
+      const open = vscode.workspace.textDocuments.find(d => d.uri.toString() === uri);
+      let lines = null;
+      if (open) {
+        lines = Array.from({ length: open.lineCount }, (_, i) => open.lineAt(i).text);
+      } else {
+        try {
+          const bytes = await vscode.workspace.fs.readFile(vscode.Uri.parse(uri));
+          lines = Buffer.from(bytes).toString("utf8").split(/\r?\n/);
+        } catch (err) {
+          debugLog(`[Read] Could not read ${uri}:`, err);
+        }
+      }
+      cache.set(uri, lines);
     }
+    return cache.get(uri);
   }
 
-  // --- Initialize groups and activeGroup ---
-  async function initializeGroupsAndColors() {
-    const { userGroupColors, defaultColors } = getConfig();
-    let groupColors = getGroups();
-    
-    Object.assign(groupColors, userGroupColors);
-    
-    if (Object.keys(groupColors).length === 0) {
-      groupColors = { Default: defaultColors[0] };
-    }
+  // One section per group in tree order; each entry carries the code around the bookmark
+  async function collectReportSections(bookmarks, scopeGroups) {
+    const groups = getGroups();
+    const lineCache = new Map();
+    const sections = [];
     
-    await saveGroups(groupColors);
-
-    let active = getActiveGroup();
-    if (!active || !groupColors[active]) {
-      active = Object.keys(groupColors)[0];
-      await setActiveGroup(active);
+    for (const group of groupsInTreeOrder(scopeGroups)) {
+      const entries = [];
+      for (const bm of bookmarks.filter(b => b.group === group)) {
+        const fileUri = vscode.Uri.parse(bm.uri);
+        const lines = bm.orphaned ? null : await readFileLines(bm.uri, lineCache);
+        const endLine = isRangeBookmark(bm) ? bm.endLine : bm.line;
+        let snippet = null;
+        if (lines) {
+          let first = Math.max(0, bm.line - EXPORT_CONTEXT_LINES);
+          let last = Math.min(lines.length - 1, endLine + EXPORT_CONTEXT_LINES);
+          // No blank padding around the snippet
+          while (first < bm.line && !lines[first].trim()) first++;
+          while (last > endLine && !lines[last].trim()) last--;
+          snippet = { firstLine: first, code: lines.slice(first, last + 1).join("\n") };
+        }
+        entries.push({
+          bookmark: bm,
+          fsPath: fileUri.fsPath,
+          relPath: vscode.workspace.asRelativePath(fileUri, true),
+          language: path.extname(fileUri.path).slice(1),
+          snippet
+        });
+      }
+      sections.push({ group, depth: group.split("/").length, color: groups[group], entries });
     }
-    activeGroup = active;
-    
-    return groupColors;
+    return sections;
   }
 
-  // --- Optimized config changes ---
-  async function applyConfigChanges() {
-    isDirtyConfig = true; // Force config refresh
-    const { userGroupColors, defaultColors } = getConfig();
-    let groups = getGroups();
+  function renderMarkdownReport(sections, targetUri) {
+    const targetDir = path.dirname(targetUri.fsPath);
+    const out = ["# Bookmarks", ""];
     
-    // Batch updates
-    const updates = {};
-    for (const [groupName, configColor] of Object.entries(userGroupColors)) {
-      if (groups[groupName]) {
-        updates[groupName] = configColor;
+    for (const { group, depth, entries } of sections) {
+      out.push(`${"#".repeat(Math.min(depth + 1, 6))} ${group.split("/").pop()}`, "");
+      for (const { bookmark: bm, fsPath, relPath, language, snippet } of entries) {
+        // Links are relative to the exported file so they work from the repository
+        const href = path.relative(targetDir, fsPath).split(path.sep).join("/");
+        const title = bm.label || bm.snippet || bm.content.trim();
+        const tags = (bm.tags || []).map(tag => ` \`#${tag}\``).join("");
+        out.push(`- [${relPath}:${bm.line + 1}](${encodeURI(href)}#L${bm.line + 1}) — ${title}${tags}${bm.orphaned ? " *(file deleted)*" : ""}`);
+        if (bm.note) {
+          out.push("", ...bm.note.split(/\r?\n/).map(l => `  > ${l}`));
+        }
+        if (snippet) {
+          const fence = codeFence(snippet.code);
+          out.push("", `  ${fence}${language}`, ...snippet.code.split("\n").map(l => `  ${l}`), `  ${fence}`);
+        }
+        out.push("");
       }
     }
-    
-    if (groups.Default && defaultColors.length > 0) {
-      updates.Default = defaultColors[0];
+    return out.join("\n");
+  }
+
+  function renderCsvReport(sections) {
+    const header = ["Group", "File", "Line", "Column", "End Line", "End Column", "Label", "Tags", "Note", "Content", "Created"];
+    const rows = [header];
+    for (const { group, entries } of sections) {
+      for (const { bookmark: bm, relPath } of entries) {
+        const range = isRangeBookmark(bm);
+        rows.push([
+          group.replace(/\//g, " ❯ "),
+          relPath,
+          bm.line + 1,
+          range ? bm.column + 1 : "",
+          range ? bm.endLine + 1 : "",
+          range ? bm.endColumn + 1 : "",
+          bm.label || "",
+          (bm.tags || []).join(" "),
+          bm.note || "",
+          bm.content.trim(),
+          bm.createdAt ? new Date(bm.createdAt).toISOString() : ""
+        ]);
+      }
     }
+    return rows.map(row => row.map(escapeCsv).join(",")).join("\r\n") + "\r\n";
+  }
+
+  function renderHtmlReport(sections) {
+    const total = sections.reduce((n, s) => n + s.entries.length, 0);
+    const body = sections.map(({ group, depth, color, entries }) => {
+      const level = Math.min(depth + 1, 6);
+      const items = entries.map(({ bookmark: bm, relPath, language, snippet }) => {
+        const title = bm.label || bm.snippet || bm.content.trim();
+        const tags = (bm.tags || []).map(tag => `<span class="tag">#${escapeHtml(tag)}</span>`).join(" ");
+        const note = bm.note ? `<blockquote>${escapeHtml(bm.note).replace(/\r?\n/g, "<br>")}</blockquote>` : "";
+        let code = "";
+        if (snippet) {
+          const endLine = isRangeBookmark(bm) ? bm.endLine : bm.line;
+          code = "<pre><code>" + snippet.code.split("\n").map((text, i) => {
+            const lineNo = snippet.firstLine + i;
+            const marked = lineNo >= bm.line && lineNo <= endLine ? " marked" : "";
+            return `<span class="line${marked}"><span class="ln">${lineNo + 1}</span>${highlightCode(text, language)}</span>`;
+          }).join("\n") + "</code></pre>";
+        }
+        return `<li><div class="loc"><code>${escapeHtml(relPath)}:${bm.line + 1}</code> ${escapeHtml(title)} ${tags}${bm.orphaned ? ' <span class="warn">file deleted</span>' : ""}</div>${note}${code}</li>`;
+      }).join("\n");
+      return `<section style="--group-color: ${escapeHtml(color || "#fff59d")}">
+<h${level}><span class="swatch"></span>${escapeHtml(group.replace(/\//g, " ❯ "))}</h${level}>
+${items ? `<ul>\n${items}\n</ul>` : ""}
+</section>`;
+    }).join("\n");
     
-    Object.assign(groups, updates);
-    await saveGroups(groups);
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Bookmarks</title>
+<style>
+  body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; margin: 2rem auto; max-width: 960px; color: #24292f; }
+  h1 small { font-weight: normal; color: #6e7781; font-size: 0.6em; }
+  .swatch { display: inline-block; width: 0.8em; height: 0.8em; margin-right: 0.4em; border-radius: 2px; background: var(--group-color); }
+  ul { list-style: none; padding-left: 0; }
+  li { margin: 0 0 1.25rem; }
+  .loc code { font-weight: 600; }
+  .tag { color: #0969da; font-size: 0.9em; }
+  .warn { color: #cf222e; font-size: 0.9em; }
+  blockquote { margin: 0.4rem 0; padding-left: 0.8rem; border-left: 3px solid #d0d7de; color: #57606a; }
+  pre { background: #f6f8fa; border-radius: 6px; padding: 0.6rem 0; overflow-x: auto; }
+  .line { display: block; padding: 0 0.8rem; }
+  .line.marked { background: color-mix(in srgb, var(--group-color) 35%, transparent); }
+  .ln { display: inline-block; width: 3em; color: #8c959f; user-select: none; }
+  .tok-comment { color: #6e7781; font-style: italic; }
+  .tok-string { color: #0a3069; }
+  .tok-number { color: #0550ae; }
+  .tok-keyword { color: #cf222e; }
+</style>
+</head>
+<body>
+<h1>Bookmarks <small>${total} bookmark${total === 1 ? "" : "s"} · ${escapeHtml(new Date().toLocaleString())}</small></h1>
+${body}
+</body>
+</html>
+`;
+  }
+
+  // --- Import from other bookmark tools ---
+  const IMPORTED_GROUP = "Imported";
+  const NUMBERED_GROUP = "Numbered Bookmarks";
+  const NO_NUMBERED_BOOKMARK = -1;
+
+  // `{ files: [{ path, bookmarks }] }` is shared by the Bookmarks extension ({ line, column, label }
+  // entries, or bare line numbers in older versions) and Numbered Bookmarks (one line per slot,
+  // -1 for an empty slot). Lines are 0-based in both.
+  function parseFilesFormat(data) {
+    const entries = [];
+    let invalid = 0;
+    let numbered = false;
     
-    // Batch decoration refresh
-    const groupsToRefresh = Object.keys(updates);
-    for (const group of groupsToRefresh) {
-      ensureDecorationForGroup(group, true);
+    for (const file of data.files) {
+      if (!file || typeof file.path !== "string" || !Array.isArray(file.bookmarks)) {
+        invalid++;
+        continue;
+      }
+      const slots = file.bookmarks.includes(NO_NUMBERED_BOOKMARK);
+      file.bookmarks.forEach((mark, slot) => {
+        if (typeof mark === "number") {
+          if (mark === NO_NUMBERED_BOOKMARK) return;
+          if (slots) numbered = true;
+          entries.push(slots
+            ? { path: file.path, line: mark, label: `Bookmark ${slot}`, group: NUMBERED_GROUP }
+            : { path: file.path, line: mark, group: IMPORTED_GROUP });
+        } else if (mark && Number.isInteger(mark.line)) {
+          entries.push({ path: file.path, line: mark.line, label: mark.label, group: IMPORTED_GROUP });
+        } else {
+          invalid++;
+        }
+      });
     }
-    
-    throttledUpdateAllDecorations();
-    if (groupsProv) groupsProv.refresh();
-    if (bookmarksProv) bookmarksProv.refresh();
+    return { format: numbered ? "Numbered Bookmarks" : "Bookmarks extension", entries, invalid };
   }
 
-  // --- Optimized decoration updates with throttling ---
-  function updateDecorations(editor) {
-    if (!editor) return;
-    
-    const uri = editor.document.uri.toString();
-    const rangesMap = new Map();
-    const bookmarks = getBookmarks();
-    const lineCount = editor.document.lineCount;
-    const hiddenGroups = getHiddenGroups();
+  // One `path:line[:col]` per line, optionally followed by a label (grep/compiler output works too).
+  // A location with a column becomes a zero-width range bookmark at that column.
+  // `[Group ❯ Sub]` starts a section; blank lines and lines starting with # or // are ignored.
+  function parseLocationList(text) {
+    const entries = [];
+    let invalid = 0;
+    let group = IMPORTED_GROUP;
     
-    // Single pass through bookmarks
-    for (const b of bookmarks) {
-      if (b.uri === uri && b.line < lineCount && !hiddenGroups.includes(b.group)) {
-        if (!decorationTypes.has(b.group)) {
-          ensureDecorationForGroup(b.group);
-        }
-        const deco = decorationTypes.get(b.group);
-        const range = editor.document.lineAt(b.line).range;
-        
-        if (!rangesMap.has(deco)) {
-          rangesMap.set(deco, []);
-        }
-        rangesMap.get(deco).push(range);
+    for (const raw of text.split(/\r?\n/)) {
+      const line = raw.trim();
+      if (!line || line.startsWith("#") || line.startsWith("//")) continue;
+      
+      const section = /^\[(.+)\]$/.exec(line);
+      if (section) {
+        group = section[1].split(/\s*(?:❯|\/)\s*/).filter(Boolean).join("/") || IMPORTED_GROUP;
+        continue;
+      }
+      
+      const match = /^(.+?):(\d+)(?::(\d+))?(?:(?::|\s)\s*(.*))?$/.exec(line);
+      if (!match) {
+        invalid++;
+        continue;
       }
+      const entry = { path: match[1], line: Number(match[2]) - 1, label: match[4], group };
+      if (match[3] !== undefined) entry.column = Number(match[3]) - 1;
+      entries.push(entry);
     }
+    return { format: "location list", entries, invalid };
+  }
+
+  // Relative paths are resolved against the folder the imported file belongs to, then every workspace folder
+  function resolveImportedPath(filePath, sourceUri) {
+    const fs = require("fs");
+    const folders = vscode.workspace.workspaceFolders || [];
+    const sourceFolder = vscode.workspace.getWorkspaceFolder(sourceUri)?.uri;
+    const sourceDir = path.dirname(sourceUri.fsPath);
+    const baseDir = sourceFolder ? sourceFolder.fsPath
+      : path.basename(sourceDir) === ".vscode" ? path.dirname(sourceDir) : sourceDir;
     
-    // Batch clear all decorations first
-    for (const deco of decorationTypes.values()) {
-      editor.setDecorations(deco, []);
-    }
+    const rootRelative = filePath.replace(/^\$ROOTPATH\$[\\/]?/, "");
+    if (rootRelative !== filePath) return vscode.Uri.file(path.join(baseDir, rootRelative));
+    if (path.isAbsolute(filePath) || /^[a-zA-Z]:[\\/]/.test(filePath)) return vscode.Uri.file(filePath);
     
-    // Batch apply new decorations
-    for (const [deco, ranges] of rangesMap) {
-      editor.setDecorations(deco, ranges);
-    }
+    const candidates = [baseDir, ...folders.map(f => f.uri.fsPath)].map(dir => path.join(dir, filePath));
+    const existing = candidates.find(candidate => fs.existsSync(candidate));
+    return vscode.Uri.file(existing || candidates[0]);
   }
 
-  function throttledUpdateAllDecorations() {
-    if (decorationUpdateTimeout) {
-      clearTimeout(decorationUpdateTimeout);
+  // Creates the group (and its parents, so sub-groups stay reachable) if it does not exist yet
+  // Returns the groups it created; their decorations are made once the groups are saved
+  function ensureGroupPath(groups, order, group, colorFor = () => hslToHex(Math.random() * 360, 70, 80)) {
+    const created = [];
+    const parts = group.split("/");
+    for (let i = 1; i <= parts.length; i++) {
+      const groupPath = parts.slice(0, i).join("/");
+      if (!groups[groupPath]) {
+        groups[groupPath] = colorFor(groupPath);
+        created.push(groupPath);
+      }
+      if (!order.includes(groupPath)) order.push(groupPath);
     }
-    decorationUpdateTimeout = setTimeout(() => {
-      vscode.window.visibleTextEditors.forEach(updateDecorations);
-      decorationUpdateTimeout = null;
-    }, DECORATION_THROTTLE_MS);
+    return created;
   }
 
-  function updateAllDecorations() {
-    vscode.window.visibleTextEditors.forEach(updateDecorations);
+  const IMPORT_MODES = [
+    { id: "merge", label: "Merge", description: "Add the imported bookmarks to yours, skipping duplicates" },
+    { id: "parent", label: "Import into New Parent Group", description: "Keep the imported groups together under a new group" },
+    { id: "replace", label: "Replace", description: "Discard your bookmarks and groups and use the imported ones" }
+  ];
+
+  // A random colour that no other group uses yet
+  function unusedColor(taken) {
+    let color = hslToHex(Math.random() * 360, 70, 80);
+    for (let attempt = 0; attempt < 20 && taken.has(color.toLowerCase()); attempt++) {
+      color = hslToHex(Math.random() * 360, 70, 80);
+    }
+    taken.add(color.toLowerCase());
+    return color;
   }
 
-  async function throttledUpdateCursorContext() {
-    if (contextUpdateTimeout) {
-      clearTimeout(contextUpdateTimeout);
+  // Works out the outcome of importing one of our own export files without saving anything.
+  // Same-named groups are merged (our colour wins); a colour one of our groups already uses is replaced.
+  function planNativeImport(data, mode, parent) {
+    const replace = mode === "replace";
+    const stats = { added: 0, duplicate: 0, invalid: 0, unresolved: 0, groupsAdded: 0, groupsMerged: 0, recolored: 0 };
+    
+    const incoming = data.bookmarkGroups && typeof data.bookmarkGroups === "object" && !Array.isArray(data.bookmarkGroups)
+      ? data.bookmarkGroups : {};
+    const incomingOrder = isStringList(data.bookmarkGroupOrder) ? data.bookmarkGroupOrder : [];
+    const names = [...new Set([...incomingOrder.filter(g => g in incoming), ...Object.keys(incoming)])];
+    const validName = (name) => name.split("/").every(part => part.trim());
+    
+    // Replace only covers this workspace; the Global groups are shared with other windows
+    const groups = replace
+      ? Object.fromEntries(Object.entries(getGroups()).filter(([g]) => isGlobalGroup(g)))
+      : { ...getGroups() };
+    const order = replace ? getGroupOrder().filter(isGlobalGroup) : [...getGroupOrder()];
+    const bookmarks = replace ? getBookmarks().filter(b => isGlobalGroup(b.group)) : [...getBookmarks()];
+    const taken = new Set(Object.values(groups).map(color => String(color).toLowerCase()));
+    const created = [];
+    const target = (group) => mode === "parent" ? `${parent}/${group}` : group;
+    
+    if (mode === "parent") {
+      created.push(...ensureGroupPath(groups, order, parent, () => unusedColor(taken)));
     }
-    contextUpdateTimeout = setTimeout(async () => {
-      const e = vscode.window.activeTextEditor;
-      if (!e) {
-        vscode.commands.executeCommand("setContext", "bm.isBookmarkedLine", false);
-        contextUpdateTimeout = null;
-        return;
+    
+    for (const name of names.filter(validName)) {
+      const groupPath = target(name);
+      if (groups[groupPath]) {
+        stats.groupsMerged++;
+        if (!order.includes(groupPath)) order.push(groupPath);
+        continue;
       }
       
-      const uri = e.document.uri.toString();
-      const line = e.selection.active.line;
-      const bookmarks = getBookmarks();
-      
-      // Optimized search
-      const exists = bookmarks.some(b => 
-        b.uri === uri && b.line === line && b.group === activeGroup
-      );
-      
-      vscode.commands.executeCommand("setContext", "bm.isBookmarkedLine", exists);
-      contextUpdateTimeout = null;
-    }, CONTEXT_THROTTLE_MS);
-  }
-
-  let activeAnimationInterval = null;
-  let activeAnimationResolve = null;
-  let tempHighlightDecoration = null;
-  let crossFileJumpStatusBarItem = null;
-
-  function updateCrossFileJumpStatusBar() {
-    if (!crossFileJumpStatusBarItem) {
-      crossFileJumpStatusBarItem = vscode.window.createStatusBarItem(vscode.StatusBarAlignment.Right, 100);
-      crossFileJumpStatusBarItem.command = "bm.toggleCrossFileJump";
+      let color = incoming[name];
+      if (typeof color !== "string" || !HEX_COLOR.test(color)) {
+        color = unusedColor(taken);
+      } else if (!replace && taken.has(color.toLowerCase())) {
+        color = unusedColor(taken);
+        stats.recolored++;
+      } else {
+        taken.add(color.toLowerCase());
+      }
+      groups[groupPath] = color;
+      order.push(groupPath);
+      created.push(groupPath);
     }
-    const config = getConfig();
-    const allowed = config.allowCrossFileJump !== false;
-    if (allowed) {
-      crossFileJumpStatusBarItem.text = "$(files) Cross-File Jump: ON";
-      crossFileJumpStatusBarItem.tooltip = "Click to disable jumping to bookmarks in other files";
-      crossFileJumpStatusBarItem.color = "";
-    } else {
-      crossFileJumpStatusBarItem.text = "$(files) Cross-File Jump: OFF";
-      crossFileJumpStatusBarItem.tooltip = "Click to enable jumping to bookmarks in other files";
-      crossFileJumpStatusBarItem.color = new vscode.ThemeColor("statusBarItem.warningBackground");
+    
+    // Sub-groups need their parents, even when the file left them out
+    for (const groupPath of [...created]) {
+      created.push(...ensureGroupPath(groups, order, groupPath, () => unusedColor(taken)));
     }
-    crossFileJumpStatusBarItem.show();
+    stats.groupsAdded = created.length;
+    
+    for (const stored of Array.isArray(data.bookmarks) ? data.bookmarks : []) {
+      const clean = sanitizeImportedBookmark(stored);
+      if (!clean || !(clean.group in incoming) || !validName(clean.group)) {
+        stats.invalid++;
+        continue;
+      }
+      // Folder-relative paths win over the exporting machine's absolute uris
+      const bm = fromPortable({ ...clean, group: target(clean.group) });
+      if (!bm) {
+        stats.unresolved++;
+        continue;
+      }
+      if (bookmarks.some(b => isSameBookmark(b, bm))) {
+        stats.duplicate++;
+        continue;
+      }
+      bookmarks.push(bm);
+      stats.added++;
+    }
+    
+    return { mode, groups, order, bookmarks, created, stats };
   }
 
-  function cancelActiveAnimation() {
-    if (activeAnimationInterval) {
-      clearInterval(activeAnimationInterval);
-      activeAnimationInterval = null;
-    }
-    if (activeAnimationResolve) {
-      activeAnimationResolve();
-      activeAnimationResolve = null;
+  function describeImportPlan({ mode, stats }) {
+    const plural = (n, word) => `${n} ${word}${n === 1 ? "" : "s"}`;
+    const lines = [`• ${plural(stats.added, "bookmark")} added`];
+    if (stats.duplicate) lines.push(`• ${stats.duplicate} skipped (already bookmarked)`);
+    if (stats.unresolved) lines.push(`• ${stats.unresolved} skipped (workspace folder not open)`);
+    if (stats.invalid) lines.push(`• ${plural(stats.invalid, "invalid record")} ignored`);
+    
+    const groupParts = [`${plural(stats.groupsAdded, "new group")}`];
+    if (stats.groupsMerged) groupParts.push(`${stats.groupsMerged} merged into existing groups`);
+    if (stats.recolored) groupParts.push(`${stats.recolored} recoloured to avoid a clash`);
+    lines.push(`• ${groupParts.join(", ")}`);
+    
+    if (mode === "replace") {
+      const current = getBookmarks().length;
+      lines.push("", `Your current ${plural(current, "bookmark")} in ${plural(Object.keys(getGroups()).length, "group")} will be discarded.`);
     }
+    return lines.join("\n");
   }
 
-  function flashLineHighlight(editor, line, bookmarkGroup) {
-    if (tempHighlightDecoration) {
-      tempHighlightDecoration.dispose();
+  async function commitImportPlan(plan, data) {
+    const { mode, groups, order, bookmarks, created } = plan;
+    // Replacing with a file that has no workspace groups still leaves one to be active
+    let active = null;
+    if (mode === "replace") {
+      active = groups[data.activeBookmarkGroup] ? data.activeBookmarkGroup : order.find(g => !isGlobalGroup(g));
+      if (!active) {
+        active = FALLBACK_GROUP;
+        ensureGroupPath(groups, order, FALLBACK_GROUP, () => getConfig().defaultColors[0]);
+      }
     }
+    await saveGroups(groups);
+    await saveGroupOrder(order);
+    await saveBookmarks(bookmarks);
     
-    const groups = getGroups();
-    const groupColor = groups[bookmarkGroup] || groups[activeGroup] || "#fff59d";
+    if (mode === "replace") {
+      disposeAllDecorations();
+      const hidden = isStringList(data.hiddenBookmarkGroups) ? data.hiddenBookmarkGroups : [];
+      await saveHiddenGroups(hidden.filter(g => groups[g]));
+      await setActiveGroup(active);
+    } else {
+      created.forEach(g => ensureDecorationForGroup(g, true));
+    }
     
-    tempHighlightDecoration = vscode.window.createTextEditorDecorationType({
-      backgroundColor: `${groupColor}44`,
-      isWholeLine: true,
-      border: `1px solid ${groupColor}`
+    groupsProv.refresh();
+    bookmarksProv.refresh();
+    viewBookmarks.title = `Bookmarks: ${activeGroup}`;
+    throttledUpdateAllDecorations();
+    throttledUpdateCursorContext();
+  }
+
+  async function importNativeBookmarks(data, sourceUri) {
+    const mode = await vscode.window.showQuickPick(IMPORT_MODES, {
+      placeHolder: "How should the imported bookmarks be combined with yours?"
     });
+    if (!mode) return;
     
-    const range = new vscode.Range(new vscode.Position(line, 0), new vscode.Position(line, 0));
-    editor.setDecorations(tempHighlightDecoration, [range]);
+    let parent;
+    if (mode.id === "parent") {
+      const groups = getGroups();
+      parent = await vscode.window.showInputBox({
+        prompt: "Name of the new parent group",
+        value: path.basename(sourceUri.fsPath, path.extname(sourceUri.fsPath)),
+        validateInput: (value) => {
+          if (!value.trim()) return "Enter a group name";
+          if (value.includes("/")) return "Use a plain name; the imported groups become its sub-groups";
+          return groups[value.trim()] ? "A group with this name already exists" : null;
+        }
+      });
+      if (!parent) return;
+      parent = parent.trim();
+    }
     
-    const fileName = path.basename(editor.document.uri.fsPath);
-    vscode.window.setStatusBarMessage(`📁 Jumped to ${fileName} (Line ${line + 1})`, 2500);
+    const plan = planNativeImport(data, mode.id, parent);
+    const summary = describeImportPlan(plan);
+    if (!plan.stats.added && mode.id !== "replace") {
+      return vscode.window.showInformationMessage(`Nothing new to import from ${path.basename(sourceUri.fsPath)}`, { modal: true, detail: summary });
+    }
     
-    setTimeout(() => {
-      if (tempHighlightDecoration) {
-        tempHighlightDecoration.dispose();
-        tempHighlightDecoration = null;
-      }
-    }, 800);
+    const confirm = await vscode.window.showInformationMessage(
+      `${mode.label}: import from ${path.basename(sourceUri.fsPath)}?`,
+      { modal: true, detail: summary },
+      "Import"
+    );
+    if (confirm !== "Import") return;
+    
+    await commitImportPlan(plan, data);
+    offerUndo(`Imported ${plan.stats.added} bookmark${plan.stats.added === 1 ? "" : "s"}`);
   }
 
-  async function revealRangeWithAnimation(editor, targetLine, isSameFile, bookmarkGroup) {
-    cancelActiveAnimation();
+  // Adds the parsed entries next to the existing bookmarks and reports what was skipped
+  async function importForeignBookmarks({ format, entries, invalid }, sourceUri) {
+    const all = getBookmarks();
+    const groups = getGroups();
+    const order = getGroupOrder();
+    const lineCache = new Map();
+    const skipped = { invalid, missing: 0, outOfRange: 0, duplicate: 0 };
+    const created = [];
+    let imported = 0;
     
-    const config = getConfig();
-    const scrollAnimSetting = config.scrollAnimation || "all";
+    for (const entry of entries) {
+      const fileUri = resolveImportedPath(entry.path, sourceUri);
+      const uri = fileUri.toString();
+      const lines = await readFileLines(uri, lineCache);
+      if (!lines) {
+        skipped.missing++;
+        continue;
+      }
+      if (!Number.isInteger(entry.line) || entry.line < 0 || entry.line >= lines.length ||
+          (entry.column !== undefined && (entry.column < 0 || entry.column > lines[entry.line].length))) {
+        skipped.outOfRange++;
+        continue;
+      }
+      
+      const bm = { uri, line: entry.line, content: lines[entry.line].trim(), group: entry.group };
+      if (entry.column !== undefined) {
+        Object.assign(bm, { column: entry.column, endLine: entry.line, endColumn: entry.column });
+      }
+      if (all.some(b => isSameBookmark(b, bm))) {
+        skipped.duplicate++;
+        continue;
+      }
+      
+      const label = typeof entry.label === "string" ? entry.label.trim() : "";
+      if (label) bm.label = label;
+      bm.anchor = captureAnchor((i) => lines[i], lines.length, entry.line);
+      bm.createdAt = Date.now();
+      created.push(...ensureGroupPath(groups, order, entry.group));
+      all.push(updateWorkspaceLocation(bm));
+      imported++;
+    }
     
-    let useAnimation = false;
-    if (scrollAnimSetting === "all") {
-      useAnimation = true;
-    } else if (scrollAnimSetting === "sameFileOnly") {
-      useAnimation = isSameFile;
+    if (imported) {
+      await saveGroups(groups);
+      await saveGroupOrder(order);
+      await saveBookmarks(all);
+      created.forEach(g => ensureDecorationForGroup(g, true));
+      groupsProv.refresh();
+      bookmarksProv.refresh();
+      throttledUpdateAllDecorations();
+      throttledUpdateCursorContext();
     }
     
-    const getPosWithSameColumn = (line) => {
-      const currentCharacter = editor.selection.active.character;
-      let maxChar = 0;
-      try {
-        maxChar = editor.document.lineAt(line).text.length;
-      } catch (e) {
-        // line might be out of bounds if file changed externally
-      }
-      return new vscode.Position(line, Math.min(currentCharacter, maxChar));
-    };
+    const reasons = [
+      [skipped.missing, "file not found"],
+      [skipped.outOfRange, "position out of range"],
+      [skipped.duplicate, "already bookmarked"],
+      [skipped.invalid, "unreadable"]
+    ].filter(([count]) => count).map(([count, reason]) => `${count} ${reason}`);
+    const total = Object.values(skipped).reduce((a, b) => a + b, 0);
+    const summary = `Imported ${imported} bookmark${imported === 1 ? "" : "s"} from ${format}` +
+      (total ? `, skipped ${total} (${reasons.join(", ")})` : "");
     
-    // If it's a different file, jump instantly and trigger the flash notification if enabled
-    if (!isSameFile) {
-      const pos = getPosWithSameColumn(targetLine);
-      editor.selection = new vscode.Selection(pos, pos);
-      editor.revealRange(new vscode.Range(pos, pos), vscode.TextEditorRevealType.InCenter);
-      if (config.flashHighlight !== false) {
-        flashLineHighlight(editor, targetLine, bookmarkGroup);
-      }
-      return;
+    if (imported) {
+      offerUndo(summary);
+    } else {
+      vscode.window.showWarningMessage(summary);
     }
+  }
+
+  // --- Multi-selection ---
+  // Context menu commands receive the clicked item and, with multi-selection, every selected item
+  function selectedItems(item, selected) {
+    if (Array.isArray(selected) && selected.length && selected.includes(item)) return selected;
+    return item ? [item] : [];
+  }
+
+  const selectedBookmarks = (item, selected) =>
+    selectedItems(item, selected).filter(el => el && el.bookmark).map(el => el.bookmark);
+
+  // Tags shared by every bookmark start checked; unchecking removes them, new ones are added to all
+  async function editTagsOfMany(targets) {
+    const all = getBookmarks();
+    const stored = all.filter(b => targets.some(t => isSameBookmark(b, t)));
+    if (!stored.length) return;
     
-    if (!useAnimation) {
-      const pos = getPosWithSameColumn(targetLine);
-      editor.selection = new vscode.Selection(pos, pos);
-      editor.revealRange(new vscode.Range(pos, pos), vscode.TextEditorRevealType.InCenter);
-      if (config.flashHighlight !== false) {
-        flashLineHighlight(editor, targetLine, bookmarkGroup);
+    const common = (stored[0].tags || []).filter(tag => stored.every(b => (b.tags || []).includes(tag)));
+    const picked = await pickTags(common);
+    if (picked === undefined) return;
+    
+    const chosen = [...new Set(picked.map(normalizeTag).filter(Boolean))];
+    const removed = common.filter(tag => !chosen.includes(tag));
+    for (const bm of stored) {
+      const tags = [...new Set([...(bm.tags || []).filter(tag => !removed.includes(tag)), ...chosen])];
+      if (tags.length) {
+        bm.tags = tags;
+      } else {
+        delete bm.tags;
       }
-      return;
     }
+    await saveBookmarks(all);
+    groupsProv.refresh();
+    bookmarksProv.refresh();
+    vscode.window.showInformationMessage(`Updated tags on ${stored.length} bookmarks`);
+  }
+
+  const PRESET_COLORS = [
+    ["Yellow", "#fff59d"], ["Green", "#aed581"], ["Purple", "#ba68c8"], ["Blue", "#81d4fa"],
+    ["Orange", "#ffb74d"], ["Red", "#e57373"], ["Pink", "#f48fb1"], ["Teal", "#80cbc4"], ["Grey", "#b0bec5"]
+  ];
+
+  async function pickColor(placeHolder) {
+    const picked = await vscode.window.showQuickPick([
+      ...PRESET_COLORS.map(([label, color]) => ({ label, description: color, color, iconPath: makeIconUri(color) })),
+      { label: "Random", random: true },
+      { label: "Custom...", custom: true }
+    ], { placeHolder });
+    if (!picked) return undefined;
+    if (picked.random) return hslToHex(Math.random() * 360, 70, 80);
+    if (!picked.custom) return picked.color;
     
-    const currentLine = editor.selection.active.line;
-    if (currentLine === targetLine) {
-      const pos = getPosWithSameColumn(targetLine);
-      editor.selection = new vscode.Selection(pos, pos);
-      editor.revealRange(new vscode.Range(pos, pos), vscode.TextEditorRevealType.InCenter);
-      if (config.flashHighlight !== false) {
-        flashLineHighlight(editor, targetLine, bookmarkGroup);
+    const custom = await vscode.window.showInputBox({
+      prompt: "Hex colour, e.g. #ff8800",
+      validateInput: (value) => HEX_COLOR.test(value.trim()) ? null : "Enter a colour like #ff8800"
+    });
+    return custom ? custom.trim() : undefined;
+  }
+
+  // --- View filter (narrows both tree views) ---
+  // Fuzzy: the characters of the filter appear in order, e.g. "usrctl" matches "UserController"
+  function fuzzyMatch(needle, haystack) {
+    let i = 0;
+    for (const ch of haystack) {
+      if (ch === needle[i]) i++;
+      if (i === needle.length) return true;
+    }
+    return i === needle.length;
+  }
+
+  // Returns a text predicate for the current filter, or null when no (valid) filter is set
+  function buildFilterMatcher(filter = getViewFilter()) {
+    if (!filter || !filter.text) return null;
+    if (filter.regex) {
+      try {
+        const re = new RegExp(filter.text, "i");
+        return (text) => re.test(text);
+      } catch {
+        return null;
       }
-      return;
     }
+    const needle = filter.text.toLowerCase().replace(/\s+/g, "");
+    return (text) => fuzzyMatch(needle, text.toLowerCase());
+  }
+
+  function bookmarkMatches(bm, matcher) {
+    const fields = [
+      bm.label,
+      bm.content,
+      bm.snippet,
+      bm.note,
+      bm.group,
+      vscode.workspace.asRelativePath(vscode.Uri.parse(bm.uri), true)
+    ];
+    return fields.some(field => field && matcher(field));
+  }
+
+  const matchesFilters = (bm, matcher = buildFilterMatcher()) =>
+    matchesTagFilter(bm) && (!matcher || bookmarkMatches(bm, matcher));
+
+  // Groups that stay visible under the filter: those with matching bookmarks or a matching
+  // name, plus all their parent groups so the hierarchy is kept. Null means "no filtering".
+  function visibleGroupsForFilter() {
+    const matcher = buildFilterMatcher();
+    if (!matcher) return null;
     
-    const diff = targetLine - currentLine;
-    const absDiff = Math.abs(diff);
-    
-    if (absDiff <= 2) {
-      const pos = getPosWithSameColumn(targetLine);
-      editor.selection = new vscode.Selection(pos, pos);
-      editor.revealRange(new vscode.Range(pos, pos), vscode.TextEditorRevealType.InCenter);
-      if (config.flashHighlight !== false) {
-        flashLineHighlight(editor, targetLine, bookmarkGroup);
+    const visible = new Set();
+    const addWithParents = (group) => {
+      const parts = group.split("/");
+      for (let i = 1; i <= parts.length; i++) {
+        visible.add(parts.slice(0, i).join("/"));
       }
-      return;
+    };
+    for (const group of Object.keys(getGroups())) {
+      if (matcher(group)) addWithParents(group);
     }
-    
-    const stepsCount = Math.min(20, Math.max(5, Math.floor(absDiff / 3)));
-    const stepDelay = 15; // ms
-    let currentStep = 0;
-    
-    return new Promise((resolve) => {
-      activeAnimationResolve = resolve;
-      
-      activeAnimationInterval = setInterval(() => {
-        currentStep++;
-        if (currentStep >= stepsCount) {
-          cancelActiveAnimation();
-          const pos = getPosWithSameColumn(targetLine);
-          editor.selection = new vscode.Selection(pos, pos);
-          editor.revealRange(new vscode.Range(pos, pos), vscode.TextEditorRevealType.InCenter);
-          if (config.flashHighlight !== false) {
-            flashLineHighlight(editor, targetLine, bookmarkGroup);
-          }
-        } else {
-          const t = currentStep / stepsCount;
-          const easeT = t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t;
-          const interpLine = Math.round(currentLine + diff * easeT);
-          
-          const pos = getPosWithSameColumn(interpLine);
-          editor.selection = new vscode.Selection(pos, pos);
-          editor.revealRange(new vscode.Range(pos, pos), vscode.TextEditorRevealType.InCenter);
-        }
-      }, stepDelay);
-    });
+    for (const b of getBookmarks()) {
+      if (matchesFilters(b, matcher)) addWithParents(b.group);
+    }
+    return visible;
+  }
+
+  function updateViewDescriptions() {
+    const tag = getTagFilter();
+    const filter = getViewFilter();
+    const parts = [];
+    if (tag) parts.push(`#${tag}`);
+    if (filter && filter.text) parts.push(`🔍 ${filter.regex ? `/${filter.text}/` : filter.text}`);
+    const description = parts.join(" · ");
+    viewGroups.description = description;
+    viewBookmarks.description = description;
+    vscode.commands.executeCommand("setContext", "bm.tagFilterActive", !!tag);
+    vscode.commands.executeCommand("setContext", "bm.viewFilterActive", !!(filter && filter.text));
   }
 
   let treeRefreshTimeout;
@@ -504,17 +4067,61 @@ async function activate(context) {
     constructor(pathName, isActive, color) {
       const parts = pathName.split('/');
       const leafName = parts[parts.length - 1];
+      // Expand everything while filtering so matches are visible; the id changes so the
+      // user's own expansion state comes back once the filter is cleared
+      const filtering = !!buildFilterMatcher();
       super(
         isActive ? `${leafName} ⭐` : leafName,
-        vscode.TreeItemCollapsibleState.Collapsed
+        filtering ? vscode.TreeItemCollapsibleState.Expanded : vscode.TreeItemCollapsibleState.Collapsed
       );
       this.group = pathName;
-      this.id = `group-${pathName}`;
+      this.id = filtering ? `group-filtered-${pathName}` : `group-${pathName}`;
       
       const isHidden = getHiddenGroups().includes(pathName);
       this.contextValue = isHidden ? "bookmarkGroupItem-hidden" : "bookmarkGroupItem-visible";
       this.iconPath = makeIconUri(color);
       this.tooltip = isActive ? `${pathName} (Active Group)` : `${pathName} (Click to view bookmarks)`;
+      if (pathName === GLOBAL_ROOT) {
+        // The root cannot be renamed or deleted, which its context menu reflects
+        this.contextValue += "-root";
+        this.iconPath = new vscode.ThemeIcon("globe");
+        this.description = "all workspaces";
+        this.tooltip = `Groups under ${GLOBAL_ROOT} are shared by all your workspaces` + (isActive ? " (Active Group)" : "");
+      }
+    }
+  }
+
+  class TrashItem extends vscode.TreeItem {
+    constructor(count) {
+      super("Recently Deleted", vscode.TreeItemCollapsibleState.Collapsed);
+      this.id = "bookmark-trash";
+      this.description = `${count}`;
+      this.iconPath = new vscode.ThemeIcon("trash");
+      this.contextValue = "bookmarkTrash";
+      this.tooltip = "Removed bookmarks and deleted groups. Restore them from the context menu.";
+    }
+  }
+
+  class TrashEntryItem extends vscode.TreeItem {
+    constructor(entry) {
+      const age = formatAge(entry.deletedAt);
+      if (entry.kind === "group") {
+        super(entry.group.replace(/\//g, ' ❯ '), vscode.TreeItemCollapsibleState.None);
+        const count = entry.bookmarks.length;
+        this.description = `${count} bookmark${count === 1 ? "" : "s"} · ${age}`;
+        this.iconPath = new vscode.ThemeIcon("folder");
+        this.tooltip = `Group deleted ${new Date(entry.deletedAt).toLocaleString()}`;
+      } else {
+        const bm = entry.bookmark;
+        const fileName = path.basename(vscode.Uri.parse(bm.uri).fsPath);
+        super(`${fileName}:${bm.line + 1} ${bm.label || bm.snippet || bm.content}`, vscode.TreeItemCollapsibleState.None);
+        this.description = `${bm.group.replace(/\//g, ' ❯ ')} · ${entry.reason} · ${age}`;
+        this.iconPath = new vscode.ThemeIcon("bookmark");
+        this.tooltip = `${vscode.workspace.asRelativePath(vscode.Uri.parse(bm.uri), true)}:${bm.line + 1}\n${entry.reason} ${new Date(entry.deletedAt).toLocaleString()}`;
+      }
+      this.entry = entry;
+      this.id = `trash-${entry.id}`;
+      this.contextValue = "bookmarkTrashEntry";
     }
   }
 
@@ -522,16 +4129,48 @@ async function activate(context) {
     constructor(bookmark, color, viewId = "groups") {
       const u = vscode.Uri.parse(bookmark.uri);
       const fileName = path.basename(u.fsPath);
+      const isRange = isRangeBookmark(bookmark);
+      const position = isRange ? `${bookmark.line + 1}:${bookmark.column + 1}` : `${bookmark.line + 1}`;
       super(
-        `${fileName}:${bookmark.line + 1} ${bookmark.content}`,
+        `${fileName}:${position} ${bookmark.label || bookmark.snippet || bookmark.content}`,
         vscode.TreeItemCollapsibleState.None
       );
       this.bookmark = bookmark;
       // Sanitize ID to prevent VS Code drag-and-drop issues with special characters in URIs
       const safeUri = bookmark.uri.replace(/[^a-zA-Z0-9]/g, '-');
-      this.id = `bm-${viewId}-${bookmark.group}-${safeUri}-${bookmark.line}`;
+      const spot = isRange
+        ? `${bookmark.line}-${bookmark.column}-${bookmark.endLine}-${bookmark.endColumn}`
+        : bookmark.line;
+      this.id = `bm-${viewId}-${bookmark.group}-${safeUri}-${spot}`;
       this.contextValue = "bookmarkItem";
-      this.tooltip = `${u.fsPath} (Line ${bookmark.line + 1})`;
+      
+      const tags = bookmark.tags || [];
+      const badges = [];
+      if (bookmark.orphaned) badges.push("⚠ file deleted");
+      if (bookmark.anchorLost) badges.push("⚠ anchor lost");
+      if (bookmark.note) badges.push("📝");
+      badges.push(...tags.map(tag => `#${tag}`));
+      this.description = badges.join(" ");
+      
+      if (bookmark.note || bookmark.anchorLost || bookmark.orphaned || tags.length) {
+        const tooltip = new vscode.MarkdownString();
+        tooltip.appendText(`${u.fsPath} (${describePosition(bookmark)})`);
+        if (bookmark.orphaned) {
+          tooltip.appendMarkdown(`\n\n⚠ The file was deleted. Open the bookmark to relocate it to another file or remove it.`);
+        }
+        if (bookmark.anchorLost) {
+          tooltip.appendMarkdown(`\n\n⚠ The bookmarked line could not be found after the file changed on disk. It was left on its previous line.`);
+        }
+        if (tags.length) {
+          tooltip.appendText(`\n\nTags: ${tags.map(tag => `#${tag}`).join(" ")}`);
+        }
+        if (bookmark.note) {
+          tooltip.appendMarkdown(`\n\n---\n\n${bookmark.note}`);
+        }
+        this.tooltip = tooltip;
+      } else {
+        this.tooltip = `${u.fsPath} (${describePosition(bookmark)})`;
+      }
       
       const { showBookmarkIconInTree } = getConfig();
       if (showBookmarkIconInTree) {
@@ -570,6 +4209,9 @@ async function activate(context) {
           const groupColor = groups[element.bookmark.group];
           return new GroupItem(element.bookmark.group, element.bookmark.group === activeGroup, groupColor);
         }
+        if (element instanceof TrashEntryItem) {
+          return new TrashItem(getTrash().length);
+        }
         return null;
       } catch (err) {
         console.error(`[GroupsProvider getParent] Error:`, err);
@@ -581,24 +4223,34 @@ async function activate(context) {
       const groups = getGroups();
       const order = getGroupOrder();
 
+      const visible = visibleGroupsForFilter();
+      const isVisible = (g) => !visible || visible.has(g);
+
       if (!item) {
         // Return root groups (groups with no slashes in their path)
-        const rootGroups = order.filter(g => !g.includes('/'));
-        return Promise.resolve(
-          rootGroups.map(g => new GroupItem(g, g === activeGroup, groups[g]))
-        );
+        const rootGroups = order.filter(g => !g.includes('/') && isVisible(g));
+        const trash = getTrash();
+        return Promise.resolve([
+          ...rootGroups.map(g => new GroupItem(g, g === activeGroup, groups[g])),
+          ...(trash.length ? [new TrashItem(trash.length)] : [])
+        ]);
+      }
+      
+      if (item instanceof TrashItem) {
+        return Promise.resolve([...getTrash()].reverse().map(entry => new TrashEntryItem(entry)));
       }
       
       const groupColor = groups[item.group];
       
       // Find sub-groups: groups that start with `${item.group}/` and have no additional slashes
       const prefix = item.group + '/';
-      const subGroups = order.filter(g => g.startsWith(prefix) && !g.slice(prefix.length).includes('/'));
+      const subGroups = order.filter(g => g.startsWith(prefix) && !g.slice(prefix.length).includes('/') && isVisible(g));
       const subGroupItems = subGroups.map(g => new GroupItem(g, g === activeGroup, groups[g]));
       
       // Find bookmarks for this exact group
       const isHidden = getHiddenGroups().includes(item.group);
-      const bookmarks = isHidden ? [] : getBookmarks().filter(b => b.group === item.group);
+      const matcher = buildFilterMatcher();
+      const bookmarks = isHidden ? [] : getBookmarkIndex().inGroup(item.group).filter(b => matchesFilters(b, matcher));
       const bookmarkItems = bookmarks.map(b => new BookmarkItem(b, groupColor));
       
       return Promise.resolve([...subGroupItems, ...bookmarkItems]);
@@ -622,7 +4274,11 @@ async function activate(context) {
       }
     }
     
-    async handleDrop(target, data) {
+    handleDrop(target, data) {
+      return recordOperation("Drag and Drop", () => this.dropItems(target, data));
+    }
+
+    async dropItems(target, data) {
       try {
         debugLog(`[GroupsProvider Drop] Received drop. Target type: ${target ? target.constructor.name : "root"}`);
         if (target instanceof GroupItem) {
@@ -643,109 +4299,86 @@ async function activate(context) {
           debugLog(`[GroupsProvider Drop] Transfer data has empty or invalid value.`);
           return;
         }
-        const element = elements[0];
+        const draggedGroups = elements.filter(el => el instanceof GroupItem);
+        const draggedBookmarks = elements.filter(el => el instanceof BookmarkItem);
         
-        // Case 1: Dragging a GroupItem (Reordering groups)
-        if (element instanceof GroupItem) {
-          debugLog(`[GroupsProvider Drop] Dragged item is GroupItem "${element.group}". Reordering...`);
-          const draggedGroupName = element.group;
+        // Groups are reordered and bookmarks are moved, so one drop cannot do both
+        if (draggedGroups.length && draggedBookmarks.length) {
+          vscode.window.showWarningMessage("Drag groups and bookmarks separately: dropping groups reorders them, dropping bookmarks moves them into a group.");
+          return;
+        }
+        
+        // Case 1: Dragging GroupItems (Reordering groups)
+        if (draggedGroups.length) {
+          debugLog(`[GroupsProvider Drop] Dragged ${draggedGroups.length} GroupItem(s). Reordering...`);
           const order = getGroupOrder();
+          // Keep the dragged groups in their current relative order
+          const moving = order.filter(g => draggedGroups.some(el => el.group === g));
+          if (target instanceof GroupItem && moving.includes(target.group)) return;
           
-          const draggedIdx = order.indexOf(draggedGroupName);
-          if (draggedIdx >= 0) {
-            order.splice(draggedIdx, 1);
-          }
-          
-          if (target instanceof GroupItem) {
-            const targetIdx = order.indexOf(target.group);
-            if (targetIdx >= 0) {
-              order.splice(targetIdx, 0, draggedGroupName);
-            } else {
-              order.push(draggedGroupName);
-            }
+          const remaining = order.filter(g => !moving.includes(g));
+          const targetIdx = target instanceof GroupItem ? remaining.indexOf(target.group) : -1;
+          if (targetIdx >= 0) {
+            remaining.splice(targetIdx, 0, ...moving);
           } else {
-            order.push(draggedGroupName);
+            remaining.push(...moving);
           }
           
-          await saveGroupOrder(order);
+          await saveGroupOrder(remaining);
           this.refresh();
           return;
         }
         
-        // Case 2: Dragging a BookmarkItem (Reordering bookmarks or moving to another group)
-        if (element instanceof BookmarkItem) {
-          debugLog(`[GroupsProvider Drop] Dragged item is BookmarkItem "${element.bookmark.content}". Reordering or moving...`);
-          const bookmark = element.bookmark;
+        // Case 2: Dragging BookmarkItems (Reordering bookmarks or moving to another group)
+        if (draggedBookmarks.length) {
+          debugLog(`[GroupsProvider Drop] Dragged ${draggedBookmarks.length} BookmarkItem(s). Reordering or moving...`);
           const all = getBookmarks();
-          
-          const draggedIdx = all.findIndex(b =>
-            b.uri === bookmark.uri && b.line === bookmark.line && b.group === bookmark.group
-          );
-          if (draggedIdx < 0) {
-            debugLog(`[GroupsProvider Drop] Could not find the dragged bookmark in local store.`);
+          // Stored order, so the moved bookmarks keep their relative order
+          const moving = all.filter(b => draggedBookmarks.some(el => isSameBookmark(b, el.bookmark)));
+          if (!moving.length) {
+            debugLog(`[GroupsProvider Drop] Could not find the dragged bookmarks in local store.`);
             return;
           }
+          const count = moving.length === 1 ? "Bookmark" : `${moving.length} bookmarks`;
+          const rest = all.filter(b => !moving.includes(b));
+          const finish = async (message) => {
+            await saveBookmarks(rest);
+            this.refresh();
+            bookmarksProv.refresh();
+            throttledUpdateAllDecorations();
+            throttledUpdateCursorContext();
+            if (message) vscode.window.showInformationMessage(message);
+          };
           
-          const draggedBm = all[draggedIdx];
+          if (target instanceof TrashItem || target instanceof TrashEntryItem) {
+            await trashBookmarks(moving, "removed");
+            return finish();
+          }
           
           if (target instanceof GroupItem) {
-            debugLog(`[GroupsProvider Drop] Dropped on GroupItem "${target.group}". Moving bookmark...`);
-            all.splice(draggedIdx, 1);
-            if (draggedBm.group !== target.group) {
-              draggedBm.group = target.group;
-              all.push(draggedBm);
-              await saveBookmarks(all);
-              this.refresh();
-              bookmarksProv.refresh();
-              throttledUpdateAllDecorations();
-              vscode.window.showInformationMessage(`Bookmark moved to group: ${target.group}`);
-            } else {
-              all.push(draggedBm);
-              await saveBookmarks(all);
-              this.refresh();
-              bookmarksProv.refresh();
-              throttledUpdateAllDecorations();
-              vscode.window.showInformationMessage(`Bookmark moved to end of group`);
-            }
-          } else if (target instanceof BookmarkItem) {
+            debugLog(`[GroupsProvider Drop] Dropped on GroupItem "${target.group}". Moving bookmarks...`);
+            const changesGroup = moving.some(b => b.group !== target.group);
+            moving.forEach(b => { b.group = target.group; });
+            rest.push(...moving);
+            return finish(changesGroup ? `${count} moved to group: ${target.group}` : `${count} moved to end of group`);
+          }
+          
+          if (target instanceof BookmarkItem) {
             debugLog(`[GroupsProvider Drop] Dropped on BookmarkItem "${target.bookmark.content}". Reordering within group...`);
-            const targetIdx = all.findIndex(b =>
-              b.uri === target.bookmark.uri && b.line === target.bookmark.line && b.group === target.bookmark.group
-            );
+            if (moving.some(b => isSameBookmark(b, target.bookmark))) return;
+            const targetIdx = rest.findIndex(b => isSameBookmark(b, target.bookmark));
+            if (targetIdx < 0) return;
             
-            if (targetIdx >= 0) {
-              all.splice(draggedIdx, 1);
-              
-              if (draggedBm.group !== target.bookmark.group) {
-                draggedBm.group = target.bookmark.group;
-              }
-              
-              let newTargetIdx = all.findIndex(b =>
-                b.uri === target.bookmark.uri && b.line === target.bookmark.line && b.group === target.bookmark.group
-              );
-              if (newTargetIdx < 0) newTargetIdx = targetIdx;
-              
-              all.splice(newTargetIdx, 0, draggedBm);
-              
-              await saveBookmarks(all);
-              this.refresh();
-              bookmarksProv.refresh();
-              throttledUpdateAllDecorations();
-              vscode.window.showInformationMessage("Bookmark reordered");
-            }
-          } else {
-            debugLog(`[GroupsProvider Drop] Dropped on empty space/root. Moving bookmark to activeGroup "${activeGroup}"...`);
-            if (draggedBm.group !== activeGroup) {
-              draggedBm.group = activeGroup;
-              all.splice(draggedIdx, 1);
-              all.push(draggedBm);
-              await saveBookmarks(all);
-              this.refresh();
-              bookmarksProv.refresh();
-              throttledUpdateAllDecorations();
-              vscode.window.showInformationMessage(`Bookmark moved to active group: ${activeGroup}`);
-            }
+            moving.forEach(b => { b.group = target.bookmark.group; });
+            rest.splice(targetIdx, 0, ...moving);
+            return finish(moving.length === 1 ? "Bookmark reordered" : `${count} moved`);
           }
+          
+          debugLog(`[GroupsProvider Drop] Dropped on empty space/root. Moving bookmarks to activeGroup "${activeGroup}"...`);
+          if (moving.every(b => b.group === activeGroup)) return;
+          moving.forEach(b => { b.group = activeGroup; });
+          rest.push(...moving);
+          return finish(`${count} moved to active group: ${activeGroup}`);
         }
       } catch (err) {
         console.error(`[GroupsProvider Drop] Error during drop:`, err);
@@ -770,37 +4403,81 @@ async function activate(context) {
       return item;
     }
     
+    isMultiRoot() {
+      return (vscode.workspace.workspaceFolders || []).length > 1;
+    }
+    
+    makeFolderItem(folderName, bms) {
+      const folderItem = new vscode.TreeItem(folderName, vscode.TreeItemCollapsibleState.Expanded);
+      folderItem.id = `folder-${folderName}`;
+      folderItem.iconPath = new vscode.ThemeIcon(folderName === OTHER_FILES_FOLDER ? "files" : "root-folder");
+      folderItem.folderBookmarks = bms;
+      return folderItem;
+    }
+    
+    makeFileItem(uri, bms) {
+      const u = vscode.Uri.parse(uri);
+      const relPath = bms[0].path || vscode.workspace.asRelativePath(u, false);
+      const dir = path.posix.dirname(relPath);
+      const filtering = !!buildFilterMatcher();
+      
+      const fileItem = new vscode.TreeItem(
+        path.basename(u.fsPath),
+        filtering ? vscode.TreeItemCollapsibleState.Expanded : vscode.TreeItemCollapsibleState.Collapsed
+      );
+      fileItem.id = filtering ? `file-filtered-${uri}` : `file-${uri}`;
+      fileItem.description = dir === "." ? "" : dir;
+      fileItem.tooltip = u.fsPath;
+      fileItem.folderName = bms[0].folder || OTHER_FILES_FOLDER;
+      fileItem.bookmarks = bms;
+      return fileItem;
+    }
+    
+    groupBy(bms, keyOf) {
+      const grouped = new Map();
+      for (const b of bms) {
+        const key = keyOf(b);
+        if (!grouped.has(key)) grouped.set(key, []);
+        grouped.get(key).push(b);
+      }
+      return grouped;
+    }
+    
+    fileItems(bms) {
+      return [...this.groupBy(bms, b => b.uri)].map(([uri, fileBms]) => this.makeFileItem(uri, fileBms));
+    }
+    
     getParent(element) {
+      const activeBookmarks = getBookmarkIndex().inGroup(activeGroup);
       if (element instanceof BookmarkItem) {
-        const u = vscode.Uri.parse(element.bookmark.uri);
-        const fileName = path.basename(u.fsPath);
-        const fileItem = new vscode.TreeItem(fileName, vscode.TreeItemCollapsibleState.Collapsed);
-        fileItem.id = `file-${fileName}`;
-        return fileItem;
+        const uri = element.bookmark.uri;
+        return this.makeFileItem(uri, activeBookmarks.filter(b => b.uri === uri));
+      }
+      if (Array.isArray(element.bookmarks) && this.isMultiRoot()) {
+        const folderName = element.folderName;
+        return this.makeFolderItem(folderName, activeBookmarks.filter(b => (b.folder || OTHER_FILES_FOLDER) === folderName));
       }
       return null;
     }
     
     getChildren(item) {
       if (!item) {
-        // Optimized grouping
-        const grouped = {};
-        const activeBookmarks = getBookmarks().filter(b => b.group === activeGroup);
+        const matcher = buildFilterMatcher();
+        const activeBookmarks = getBookmarkIndex().inGroup(activeGroup).filter(b => matchesFilters(b, matcher));
         
-        for (const b of activeBookmarks) {
-          const fileName = path.basename(vscode.Uri.parse(b.uri).fsPath);
-          if (!grouped[fileName]) grouped[fileName] = [];
-          grouped[fileName].push(b);
+        // Multi-root workspaces get a folder ❯ file hierarchy so same-named files never merge
+        if (this.isMultiRoot()) {
+          const byFolder = this.groupBy(activeBookmarks, b => b.folder || OTHER_FILES_FOLDER);
+          return Promise.resolve(
+            [...byFolder].map(([folderName, bms]) => this.makeFolderItem(folderName, bms))
+          );
         }
         
-        return Promise.resolve(
-          Object.entries(grouped).map(([file, bms]) => {
-            const fileItem = new vscode.TreeItem(file, vscode.TreeItemCollapsibleState.Collapsed);
-            fileItem.id = `file-${file}`;
-            fileItem.bookmarks = bms;
-            return fileItem;
-          })
-        );
+        return Promise.resolve(this.fileItems(activeBookmarks));
+      }
+      
+      if (Array.isArray(item.folderBookmarks)) {
+        return Promise.resolve(this.fileItems(item.folderBookmarks));
       }
       
       if (Array.isArray(item.bookmarks)) {
@@ -824,7 +4501,11 @@ async function activate(context) {
         new vscode.DataTransferItem(source));
     }
     
-    async handleDrop(target, data) {
+    handleDrop(target, data) {
+      return recordOperation("Drag and Drop", () => this.dropItems(target, data));
+    }
+
+    async dropItems(target, data) {
       debugLog(`[BookmarksProvider Drop] Received drop.`);
       const transfer = data.get("application/vnd.code.tree.bookmarkgroupsview");
       if (!transfer) {
@@ -850,17 +4531,21 @@ async function activate(context) {
   }
 
   // Initialize everything
+  await migrateWorkspaceState();
+  selectStorageBackend();
+  await syncWorkspaceLocations();
   await initializeGroupsAndColors();
 
   // --- Create TreeViews ---
   const groupsProv = new GroupsProvider();
   const bookmarksProv = new BookmarksProvider();
 
-  vscode.window.createTreeView("bookmarkGroupsView", {
+  const viewGroups = vscode.window.createTreeView("bookmarkGroupsView", {
     treeDataProvider: groupsProv,
     dragAndDropController: groupsProv,
     dragMimeTypes: ["application/vnd.code.tree.bookmarkgroupsview"],
     dropMimeTypes: ["application/vnd.code.tree.bookmarkgroupsview", "application/vnd.code.tree.bookmarksview"],
+    canSelectMany: true,
   });
 
   const viewBookmarks = vscode.window.createTreeView("bookmarksView", {
@@ -868,18 +4553,61 @@ async function activate(context) {
     dragAndDropController: bookmarksProv,
     dragMimeTypes: ["application/vnd.code.tree.bookmarksview"],
     dropMimeTypes: ["application/vnd.code.tree.bookmarkgroupsview"],
+    canSelectMany: true,
   });
   viewBookmarks.title = `Bookmarks: ${activeGroup}`;
+  updateViewDescriptions();
+  resetSavedTexts();
+  updateHistoryContext();
+  await purgeExpiredTrash();
+  await watchBranch();
+
+  codeLensProvider = new BookmarkCodeLensProvider();
+  context.subscriptions.push(
+    vscode.languages.registerHoverProvider("*", new BookmarkHoverProvider()),
+    vscode.languages.registerCodeLensProvider("*", codeLensProvider)
+  );
+
+  // --- Document edits (see applyDocumentEdit) ---
+  const editTarget = {
+    // A checkout replaces the text of clean documents; the bookmarks of the new branch already fit it
+    ignores: (doc) => Boolean(gitDir && !doc.isDirty && (checkBranch() || Date.now() < branchSettleUntil)),
+    shiftPositions: async (doc, changes) => {
+      shiftJumpHistory(doc, changes);
+      await shiftMarks(doc, changes);
+    },
+    index: getBookmarkIndex,
+    // Dropped bookmarks go to the trash so their labels and notes are not lost
+    dropBookmarks: async (outOfBounds, duplicate) => {
+      const dropped = new Set([...outOfBounds, ...duplicate]);
+      await trashBookmarks(outOfBounds, "line deleted");
+      await trashBookmarks(duplicate, "merged duplicate");
+      await saveBookmarks(getBookmarks().filter(b => !dropped.has(b)));
+    },
+    saveChanges: saveBookmarkChanges,
+    refresh: () => {
+      throttledRefreshTrees();
+      throttledUpdateAllDecorations();
+      throttledUpdateCursorContext();
+    }
+  };
 
   // --- Optimized Commands ---
   context.subscriptions.push(
-    vscode.commands.registerCommand("bm.toggleBookmark", async () => {
+    vscode.commands.registerCommand("bm.toggleBookmark", recorded("Toggle Bookmark", async () => {
       const e = vscode.window.activeTextEditor;
       if (!e) return vscode.window.showInformationMessage("Open a file first.");
       
       const uri = e.document.uri.toString();
-      const line = e.selection.active.line;
+      const selection = e.selection;
+      const line = selection.isEmpty ? selection.active.line : selection.start.line;
       const content = e.document.lineAt(line).text.trim();
+      // A non-empty selection bookmarks exactly that range
+      const spot = selection.isEmpty ? {} : {
+        column: selection.start.character,
+        endLine: selection.end.line,
+        endColumn: selection.end.character
+      };
 
       let groups = getGroups();
       if (!groups[activeGroup]) {
@@ -893,15 +4621,18 @@ async function activate(context) {
       }
 
       const bms = getBookmarks();
-      const idx = bms.findIndex(b => 
-        b.uri === uri && b.line === line && b.group === activeGroup
-      );
+      const existing = getBookmarkIndex().atLine(uri, line).find(b => isSameBookmark(b, { uri, line, group: activeGroup, ...spot }));
       
-      if (idx >= 0) {
-        bms.splice(idx, 1);
-        vscode.window.showInformationMessage("Bookmark removed");
+      if (existing) {
+        bms.splice(bms.indexOf(existing), 1);
+        offerUndo("Bookmark removed");
       } else {
-        bms.push({ uri, line, content, group: activeGroup });
+        const anchor = captureAnchor((i) => e.document.lineAt(i).text, e.document.lineCount, line);
+        const bm = { uri, line, content, group: activeGroup, ...spot, anchor, createdAt: Date.now() };
+        if (!selection.isEmpty) {
+          bm.snippet = makeSnippet(e.document.getText(selection));
+        }
+        bms.push(updateWorkspaceLocation(bm));
         vscode.window.showInformationMessage(`Bookmark added to ${activeGroup}`);
       }
       
@@ -910,9 +4641,68 @@ async function activate(context) {
       bookmarksProv.refresh();
       throttledUpdateAllDecorations();
       throttledUpdateCursorContext();
+    })),
+
+    vscode.commands.registerCommand("bm.undo", async () => {
+      if (!await stepHistory(history.undo, history.redo, "Undid")) {
+        vscode.window.showInformationMessage("Nothing to undo");
+      }
     }),
 
-    vscode.commands.registerCommand("bm.clearBookmarks", async () => {
+    vscode.commands.registerCommand("bm.redo", async () => {
+      if (!await stepHistory(history.redo, history.undo, "Redid")) {
+        vscode.window.showInformationMessage("Nothing to redo");
+      }
+    }),
+
+    // From the trash node this restores everything; from the palette it asks what to restore
+    vscode.commands.registerCommand("bm.restoreFromTrash", recorded("Restore from Trash", async (item) => {
+      const trash = getTrash();
+      if (!trash.length) {
+        return vscode.window.showInformationMessage("Recently Deleted is empty");
+      }
+      
+      let ids;
+      if (item instanceof TrashEntryItem) {
+        ids = [item.entry.id];
+      } else if (item instanceof TrashItem) {
+        ids = trash.map(entry => entry.id);
+      } else {
+        const picked = await vscode.window.showQuickPick(
+          [...trash].reverse().map(entry => {
+            const treeItem = new TrashEntryItem(entry);
+            return { label: treeItem.label, description: treeItem.description, id: entry.id };
+          }),
+          { placeHolder: "Restore which bookmarks or groups?", canPickMany: true }
+        );
+        if (!picked || !picked.length) return;
+        ids = picked.map(p => p.id);
+      }
+      await restoreFromTrash(ids);
+    })),
+
+    vscode.commands.registerCommand("bm.deleteFromTrash", recorded("Delete Permanently", async (item) => {
+      if (!(item instanceof TrashEntryItem)) return;
+      await saveTrash(getTrash().filter(entry => entry.id !== item.entry.id));
+      groupsProv.refresh();
+    })),
+
+    vscode.commands.registerCommand("bm.emptyTrash", recorded("Empty Trash", async () => {
+      const count = getTrash().length;
+      if (!count) {
+        return vscode.window.showInformationMessage("Recently Deleted is empty");
+      }
+      const confirm = await vscode.window.showWarningMessage(
+        `Permanently delete ${count} item${count === 1 ? "" : "s"} from Recently Deleted?`,
+        { modal: true }, "Empty Trash"
+      );
+      if (confirm !== "Empty Trash") return;
+      
+      await saveTrash([]);
+      groupsProv.refresh();
+    })),
+
+    vscode.commands.registerCommand("bm.clearBookmarks", recorded("Clear Bookmarks", async () => {
       const activeBookmarks = getBookmarks().filter(b => b.group === activeGroup);
       if (!activeBookmarks.length) {
         return vscode.window.showInformationMessage("No bookmarks to clear");
@@ -924,107 +4714,408 @@ async function activate(context) {
       );
       if (confirm !== "Yes") return;
       
+      await trashBookmarks(activeBookmarks, "cleared");
       const filtered = getBookmarks().filter(b => b.group !== activeGroup);
       await saveBookmarks(filtered);
       groupsProv.refresh();
       bookmarksProv.refresh();
-      throttledUpdateAllDecorations();
-      throttledUpdateCursorContext();
-      vscode.window.showInformationMessage(`Cleared bookmarks from ${activeGroup}`);
+      throttledUpdateAllDecorations();
+      throttledUpdateCursorContext();
+      offerUndo(`Cleared bookmarks from ${activeGroup}`);
+    })),
+
+    vscode.commands.registerCommand("bm.openBookmark", async (item) => {
+      const bm = item?.bookmark;
+      if (!bm) return vscode.window.showInformationMessage("Not a bookmark entry");
+      if (await resolveOrphanedBookmark(bm)) return;
+      
+      const activeEditor = vscode.window.activeTextEditor;
+      const activeUri = activeEditor ? activeEditor.document.uri.toString() : null;
+      const isSameFile = (activeUri === bm.uri);
+
+      const config = getConfig();
+      if (!isSameFile && config.allowCrossFileJump === false) {
+        vscode.window.showWarningMessage("Jumping to another file is disabled.");
+        return;
+      }
+
+      if (await revealBookmark(bm)) await markVisited(bm);
+    }),
+
+    vscode.commands.registerCommand("bm.removeBookmark", recorded("Remove Bookmark", async (item, selected) => {
+      const targets = selectedBookmarks(item, selected);
+      if (!targets.length) return;
+      
+      const all = getBookmarks();
+      const removing = all.filter(b => targets.some(t => isSameBookmark(b, t)));
+      
+      if (removing.length) {
+        await trashBookmarks(removing, "removed");
+        await saveBookmarks(all.filter(b => !removing.includes(b)));
+        groupsProv.refresh();
+        bookmarksProv.refresh();
+        throttledUpdateAllDecorations();
+        throttledUpdateCursorContext();
+        offerUndo(removing.length === 1 ? "Bookmark removed" : `${removing.length} bookmarks removed`);
+      }
+    })),
+
+    vscode.commands.registerCommand("bm.moveBookmarkToGroup", recorded("Move Bookmark", async (item, selected) => {
+      let targets = selectedBookmarks(item, selected);
+      
+      // If called from editor context menu, item.bookmark is undefined
+      if (!targets.length) {
+        const editor = vscode.window.activeTextEditor;
+        if (editor) {
+          const uri = editor.document.uri.toString();
+          const line = editor.selection.active.line;
+          const all = getBookmarks();
+          targets = all.filter(b => b.uri === uri && b.line === line).slice(0, 1);
+        }
+      }
+      
+      if (!targets.length) {
+        return vscode.window.showInformationMessage("No bookmark found on this line");
+      }
+      
+      const sourceGroups = new Set(targets.map(b => b.group));
+      const groups = Object.keys(getGroups()).filter(g => sourceGroups.size > 1 || !sourceGroups.has(g));
+      if (!groups.length) {
+        return vscode.window.showInformationMessage("No other groups");
+      }
+      
+      // Picking a group under Global (or back) moves the bookmark between the scopes
+      const quickPickItems = groups.map(g => ({
+        label: g.replace(/\//g, ' ❯ '),
+        description: isGlobalGroup(g) ? "$(globe) all workspaces" : "",
+        groupPath: g
+      }));
+      
+      const target = await vscode.window.showQuickPick(quickPickItems, {
+        placeHolder: targets.length === 1 ? "Move to which group?" : `Move ${targets.length} bookmarks to which group?`,
+      });
+      if (!target) return;
+      
+      const targetPath = target.groupPath;
+      
+      const all = getBookmarks();
+      const moving = all.filter(b => targets.some(t => isSameBookmark(b, t)));
+      
+      if (moving.length) {
+        moving.forEach(b => { b.group = targetPath; });
+        await saveBookmarks(all);
+        groupsProv.refresh();
+        bookmarksProv.refresh();
+        throttledUpdateAllDecorations();
+        offerUndo(moving.length === 1 ? `Moved to ${targetPath}` : `Moved ${moving.length} bookmarks to ${targetPath}`);
+      }
+    })),
+
+    vscode.commands.registerCommand("bm.openBookmarks", async (item, selected) => {
+      const items = selectedItems(item, selected);
+      const all = getBookmarks();
+      // Groups open every bookmark they contain directly
+      const chosen = all.filter(b => items.some(el =>
+        el instanceof GroupItem ? b.group === el.group : el.bookmark && isSameBookmark(b, el.bookmark)
+      ));
+      const openable = chosen.filter(b => !b.orphaned);
+      if (!openable.length) {
+        return vscode.window.showInformationMessage("No bookmarks to open");
+      }
+      
+      // One editor per file, with a selection on each of its bookmarks
+      const byFile = new Map();
+      for (const bm of openable) {
+        if (!byFile.has(bm.uri)) byFile.set(bm.uri, []);
+        byFile.get(bm.uri).push(bm);
+      }
+      let failed = 0;
+      for (const [uri, bms] of byFile) {
+        try {
+          const doc = await vscode.workspace.openTextDocument(vscode.Uri.parse(uri));
+          const editor = await vscode.window.showTextDocument(doc, { preview: false });
+          editor.selections = bms.map(b => {
+            const range = bookmarkRange(b) || new vscode.Range(b.line, 0, b.line, 0);
+            const valid = doc.validateRange(range);
+            return new vscode.Selection(valid.start, valid.end);
+          });
+          editor.revealRange(editor.selections[0], vscode.TextEditorRevealType.InCenterIfOutsideViewport);
+        } catch (error) {
+          debugLog(`[Open All] Could not open ${uri}:`, error);
+          failed += bms.length;
+        }
+      }
+      
+      const skipped = chosen.length - openable.length + failed;
+      if (skipped) {
+        vscode.window.showWarningMessage(`${skipped} bookmark${skipped === 1 ? "" : "s"} could not be opened`);
+      }
+    }),
+
+    vscode.commands.registerCommand("bm.changeGroupColor", recorded("Change Color", async (item, selected) => {
+      const items = selectedItems(item, selected);
+      // Bookmarks stand for their group
+      const targetGroups = [...new Set(items.map(el => el.group || el.bookmark?.group).filter(Boolean))];
+      if (!targetGroups.length) targetGroups.push(activeGroup);
+      
+      const color = await pickColor(targetGroups.length === 1
+        ? `Colour for ${targetGroups[0].replace(/\//g, ' ❯ ')}`
+        : `Colour for ${targetGroups.length} groups`);
+      if (!color) return;
+      
+      const groups = getGroups();
+      for (const group of targetGroups) {
+        if (!groups[group]) continue;
+        groups[group] = color;
+      }
+      await saveGroups(groups);
+      targetGroups.forEach(group => ensureDecorationForGroup(group, true));
+      groupsProv.refresh();
+      bookmarksProv.refresh();
+      throttledUpdateAllDecorations();
+    })),
+
+    vscode.commands.registerCommand("bm.validateBookmarks", () => validateBookmarks()),
+
+    vscode.commands.registerCommand("bm.relocateBookmark", recorded("Relocate Bookmark", async (item) => {
+      const bm = item?.bookmark;
+      if (!bm) return;
+      await relocateBookmark(bm);
+    })),
+
+    vscode.commands.registerCommand("bm.editBookmarkTags", recorded("Edit Tags", async (item, selected) => {
+      const targets = selectedBookmarks(item, selected);
+      if (targets.length > 1) {
+        return editTagsOfMany(targets);
+      }
+      
+      let bm = targets[0];
+      
+      // If called from editor context menu, item.bookmark is undefined
+      if (!bm && vscode.window.activeTextEditor) {
+        bm = findBookmarkAtCursor(vscode.window.activeTextEditor);
+      }
+      
+      if (!bm) {
+        return vscode.window.showInformationMessage("No bookmark found on this line");
+      }
+      
+      const picked = await pickTags(bm.tags || []);
+      if (picked === undefined) return;
+      
+      const stored = getBookmarks().find(b => isSameBookmark(b, bm));
+      if (!stored) return;
+      
+      const tags = [...new Set(picked.map(normalizeTag).filter(Boolean))];
+      if (tags.length) {
+        stored.tags = tags;
+      } else {
+        delete stored.tags;
+      }
+      await saveBookmarks(getBookmarks());
+      groupsProv.refresh();
+      bookmarksProv.refresh();
+    })),
+
+    vscode.commands.registerCommand("bm.filterByTag", async () => {
+      const tag = await pickExistingTag("Show only bookmarks with tag...");
+      if (!tag) return;
+      
+      await saveTagFilter(tag);
+      updateViewDescriptions();
+      groupsProv.refresh();
+      bookmarksProv.refresh();
+    }),
+
+    vscode.commands.registerCommand("bm.clearTagFilter", async () => {
+      await saveTagFilter(undefined);
+      updateViewDescriptions();
+      groupsProv.refresh();
+      bookmarksProv.refresh();
+    }),
+
+    vscode.commands.registerCommand("bm.setViewFilter", async () => {
+      const previous = getViewFilter() || { text: "", regex: false };
+      let regex = !!previous.regex;
+      let accepted = false;
+      
+      const input = vscode.window.createInputBox();
+      const applyPreview = () => {
+        viewFilterPreview = { text: input.value, regex };
+        updateViewDescriptions();
+        throttledRefreshTrees();
+      };
+      const updateMode = () => {
+        input.title = regex ? "Filter Bookmarks (regular expression)" : "Filter Bookmarks (fuzzy)";
+        input.buttons = [{
+          iconPath: new vscode.ThemeIcon("regex"),
+          tooltip: regex ? "Regular expression: on (click for fuzzy matching)" : "Regular expression: off (click to enable)"
+        }];
+        input.validationMessage = regex && input.value && !buildFilterMatcher({ text: input.value, regex })
+          ? "Invalid regular expression"
+          : undefined;
+      };
+      
+      input.placeholder = "Filter by content, file path, group name or note";
+      input.value = previous.text;
+      updateMode();
+      
+      input.onDidChangeValue(() => {
+        updateMode();
+        applyPreview();
+      });
+      input.onDidTriggerButton(() => {
+        regex = !regex;
+        updateMode();
+        applyPreview();
+      });
+      input.onDidAccept(async () => {
+        if (input.validationMessage) return;
+        accepted = true;
+        input.hide();
+      });
+      input.onDidHide(async () => {
+        viewFilterPreview = undefined;
+        if (accepted) {
+          await saveViewFilter(input.value ? { text: input.value, regex } : undefined);
+        }
+        input.dispose();
+        updateViewDescriptions();
+        groupsProv.refresh();
+        bookmarksProv.refresh();
+      });
+      input.show();
+    }),
+
+    vscode.commands.registerCommand("bm.clearViewFilter", async () => {
+      await saveViewFilter(undefined);
+      updateViewDescriptions();
+      groupsProv.refresh();
+      bookmarksProv.refresh();
     }),
 
-    vscode.commands.registerCommand("bm.openBookmark", async (item) => {
-      const bm = item?.bookmark;
-      if (!bm) return vscode.window.showInformationMessage("Not a bookmark entry");
+    vscode.commands.registerCommand("bm.renameTag", recorded("Rename Tag", async () => {
+      const oldTag = await pickExistingTag("Rename which tag?");
+      if (!oldTag) return;
       
-      try {
-        const activeEditor = vscode.window.activeTextEditor;
-        const activeUri = activeEditor ? activeEditor.document.uri.toString() : null;
-        const isSameFile = (activeUri === bm.uri);
-
-        const config = getConfig();
-        if (!isSameFile && config.allowCrossFileJump === false) {
-          vscode.window.showWarningMessage("Jumping to another file is disabled.");
-          return;
+      const input = await vscode.window.showInputBox({
+        prompt: `Rename #${oldTag} on all bookmarks to (leave empty to remove the tag everywhere):`,
+        value: oldTag
+      });
+      if (input === undefined) return;
+      
+      const newTag = normalizeTag(input);
+      if (newTag === oldTag) return;
+      
+      let count = 0;
+      for (const b of getBookmarks()) {
+        if (!b.tags || !b.tags.includes(oldTag)) continue;
+        // Renaming onto an existing tag merges the two
+        const tags = [...new Set(b.tags.map(t => (t === oldTag ? newTag : t)).filter(Boolean))];
+        if (tags.length) {
+          b.tags = tags;
+        } else {
+          delete b.tags;
         }
+        count++;
+      }
+      await saveBookmarks(getBookmarks());
+      
+      if (getTagFilter() === oldTag) {
+        await saveTagFilter(newTag || undefined);
+        updateViewDescriptions();
+      }
+      
+      groupsProv.refresh();
+      bookmarksProv.refresh();
+      vscode.window.showInformationMessage(newTag
+        ? `Renamed #${oldTag} to #${newTag} on ${count} bookmark(s)`
+        : `Removed #${oldTag} from ${count} bookmark(s)`);
+    })),
 
-        const doc = await vscode.workspace.openTextDocument(vscode.Uri.parse(bm.uri));
-        const ed = await vscode.window.showTextDocument(doc);
-        await revealRangeWithAnimation(ed, bm.line, isSameFile, bm.group);
-      } catch (error) {
-        vscode.window.showErrorMessage(`Failed to open bookmark: ${error.message}`);
+    vscode.commands.registerCommand("bm.nextBookmarkWithTag", async (tagArg) => {
+      const editor = vscode.window.activeTextEditor;
+      if (!editor) return;
+      
+      // Keybindings can pass the tag directly: { "command": "bm.nextBookmarkWithTag", "args": "needs-review" }
+      const tag = typeof tagArg === "string" ? normalizeTag(tagArg) : await pickExistingTag("Jump to next bookmark with tag...");
+      if (!tag) return;
+      
+      const tagged = getBookmarks().filter(b => (b.tags || []).includes(tag));
+      const jumped = await jumpFromPosition(tagged, editor.document.uri.toString(), editor.selection.active.line);
+      if (!jumped) {
+        vscode.window.showInformationMessage(`No bookmarks tagged #${tag}`);
       }
     }),
 
-    vscode.commands.registerCommand("bm.removeBookmark", async (item) => {
-      const bm = item?.bookmark;
-      if (!bm) return;
-      
-      const all = getBookmarks();
-      const idx = all.findIndex(b => 
-        b.uri === bm.uri && b.line === bm.line && b.group === bm.group
-      );
+    // Used by the hover and CodeLens links; the position defaults to the cursor
+    vscode.commands.registerCommand("bm.nextBookmarkInGroup", (args) => jumpWithinGroup(args, true)),
+    vscode.commands.registerCommand("bm.prevBookmarkInGroup", (args) => jumpWithinGroup(args, false)),
+
+    vscode.commands.registerCommand("bm.copyBookmarkReference", async (item) => {
+      let bm = item?.bookmark;
       
-      if (idx >= 0) {
-        all.splice(idx, 1);
-        await saveBookmarks(all);
-        groupsProv.refresh();
-        bookmarksProv.refresh();
-        throttledUpdateAllDecorations();
-        throttledUpdateCursorContext();
-        vscode.window.showInformationMessage("Bookmark removed");
+      // If called from editor context menu, item.bookmark is undefined
+      if (!bm && vscode.window.activeTextEditor) {
+        bm = findBookmarkAtCursor(vscode.window.activeTextEditor);
       }
+      if (!bm) return;
+      
+      const reference = formatReference(bm);
+      await vscode.env.clipboard.writeText(reference);
+      vscode.window.setStatusBarMessage(`📋 Copied ${reference}`, 2500);
     }),
 
-    vscode.commands.registerCommand("bm.moveBookmarkToGroup", async (item) => {
+    vscode.commands.registerCommand("bm.editBookmarkNote", recorded("Edit Note", async (item) => {
       let bm = item?.bookmark;
       
       // If called from editor context menu, item.bookmark is undefined
-      if (!bm) {
-        const editor = vscode.window.activeTextEditor;
-        if (editor) {
-          const uri = editor.document.uri.toString();
-          const line = editor.selection.active.line;
-          const all = getBookmarks();
-          bm = all.find(b => b.uri === uri && b.line === line);
-        }
+      if (!bm && vscode.window.activeTextEditor) {
+        bm = findBookmarkAtCursor(vscode.window.activeTextEditor);
       }
       
       if (!bm) {
         return vscode.window.showInformationMessage("No bookmark found on this line");
       }
       
-      const groups = Object.keys(getGroups()).filter(g => g !== bm.group);
-      if (!groups.length) {
-        return vscode.window.showInformationMessage("No other groups");
-      }
-      
-      const quickPickItems = groups.map(g => ({
-        label: g.replace(/\//g, ' ❯ '),
-        groupPath: g
-      }));
+      const findStored = () => getBookmarks().find(b => isSameBookmark(b, bm));
       
-      const target = await vscode.window.showQuickPick(quickPickItems, {
-        placeHolder: "Move to which group?",
+      const label = await vscode.window.showInputBox({
+        prompt: "Bookmark title (leave empty to show the line content)",
+        value: bm.label || "",
+        placeHolder: bm.content
       });
-      if (!target) return;
+      if (label === undefined) return;
       
-      const targetPath = target.groupPath;
+      let stored = findStored();
+      if (!stored) return;
       
-      const all = getBookmarks();
-      const idx = all.findIndex(b => 
-        b.uri === bm.uri && b.line === bm.line && b.group === bm.group
-      );
+      if (label.trim()) {
+        stored.label = label.trim();
+      } else {
+        delete stored.label;
+      }
+      await saveBookmarks(getBookmarks());
+      groupsProv.refresh();
+      bookmarksProv.refresh();
       
-      if (idx >= 0) {
-        all[idx].group = targetPath;
-        await saveBookmarks(all);
-        groupsProv.refresh();
-        bookmarksProv.refresh();
-        throttledUpdateAllDecorations();
-        vscode.window.showInformationMessage(`Moved to ${targetPath}`);
+      const note = await editNoteInDocument(stored.label || stored.content, stored.note);
+      if (note === undefined) return;
+      
+      // The bookmark may have shifted while the note was being edited
+      stored = getBookmarks().find(b => b === stored) || findStored();
+      if (!stored) return;
+      
+      if (note) {
+        stored.note = note;
+      } else {
+        delete stored.note;
       }
-    }),
+      await saveBookmarks(getBookmarks());
+      groupsProv.refresh();
+      bookmarksProv.refresh();
+      vscode.window.showInformationMessage("Bookmark note saved");
+    })),
 
     vscode.commands.registerCommand("bm.hideGroupBookmarks", async (item) => {
       if (!item?.group) return;
@@ -1059,7 +5150,7 @@ async function activate(context) {
       throttledUpdateCursorContext();
     }),
 
-    vscode.commands.registerCommand("bm.createSubGroup", async (item) => {
+    vscode.commands.registerCommand("bm.createSubGroup", recorded("Create Sub-group", async (item) => {
       const parentName = item?.group;
       if (!parentName) return;
 
@@ -1088,9 +5179,9 @@ async function activate(context) {
 
       ensureDecorationForGroup(newPath, true);
       groupsProv.refresh();
-    }),
+    })),
 
-    vscode.commands.registerCommand("bm.createGroup", async () => {
+    vscode.commands.registerCommand("bm.createGroup", recorded("Create Group", async () => {
       const name = await vscode.window.showInputBox({ prompt: "New group name" });
       if (!name) return;
 
@@ -1116,11 +5207,14 @@ async function activate(context) {
       viewBookmarks.title = `Bookmarks: ${activeGroup}`;
       throttledUpdateAllDecorations();
       throttledUpdateCursorContext();
-    }),
+    })),
 
-    vscode.commands.registerCommand("bm.renameGroup", async (item) => {
+    vscode.commands.registerCommand("bm.renameGroup", recorded("Rename Group", async (item) => {
       const old = item?.group;
       if (!old) return;
+      if (old === GLOBAL_ROOT) {
+        return vscode.window.showWarningMessage(`The ${GLOBAL_ROOT} group cannot be renamed.`);
+      }
       
       const newName = await vscode.window.showInputBox({
         prompt: `Rename "${old}" to:`, value: old
@@ -1150,11 +5244,7 @@ async function activate(context) {
           order[oIdx] = updatedKey;
         }
         
-        const oldDecoration = decorationTypes.get(k);
-        if (oldDecoration) {
-          oldDecoration.dispose();
-          decorationTypes.delete(k);
-        }
+        disposeGroupDecorations(k);
         ensureDecorationForGroup(updatedKey, true);
       }
       
@@ -1179,11 +5269,14 @@ async function activate(context) {
       bookmarksProv.refresh();
       throttledUpdateAllDecorations();
       throttledUpdateCursorContext();
-    }),
+    })),
 
-    vscode.commands.registerCommand("bm.deleteGroup", async (item) => {
+    vscode.commands.registerCommand("bm.deleteGroup", recorded("Delete Group", async (item) => {
       const name = item?.group;
       if (!name) return;
+      if (name === GLOBAL_ROOT) {
+        return vscode.window.showWarningMessage(`The ${GLOBAL_ROOT} group cannot be deleted. Delete its sub-groups instead.`);
+      }
       
       const prefix = name + '/';
       const count = getBookmarks().filter(b => b.group === name || b.group.startsWith(prefix)).length;
@@ -1197,6 +5290,11 @@ async function activate(context) {
       const order = getGroupOrder();
       
       const keysToDelete = Object.keys(groups).filter(g => g === name || g.startsWith(prefix));
+      await trashGroup(
+        name,
+        Object.fromEntries(keysToDelete.map(k => [k, groups[k]])),
+        getBookmarks().filter(b => b.group === name || b.group.startsWith(prefix))
+      );
       for (const k of keysToDelete) {
         delete groups[k];
         
@@ -1205,11 +5303,7 @@ async function activate(context) {
           order.splice(idx, 1);
         }
         
-        const decoration = decorationTypes.get(k);
-        if (decoration) {
-          decoration.dispose();
-          decorationTypes.delete(k);
-        }
+        disposeGroupDecorations(k);
       }
       
       await saveGroups(groups);
@@ -1242,114 +5336,102 @@ async function activate(context) {
       viewBookmarks.title = `Bookmarks: ${activeGroup}`;
       throttledUpdateAllDecorations();
       throttledUpdateCursorContext();
-    }),
+      offerUndo(`Deleted "${name}" and ${count} bookmark${count === 1 ? "" : "s"}`);
+    })),
 
-    vscode.commands.registerCommand("bm.nextBookmark", async () => {
-      const editor = vscode.window.activeTextEditor;
-      if (!editor) return;
-      
-      const config = getConfig();
-      const currentUri = editor.document.uri.toString();
-      let bookmarksList = getBookmarks().filter(b => b.group === activeGroup);
-      
-      if (config.allowCrossFileJump === false) {
-        bookmarksList = bookmarksList.filter(b => b.uri === currentUri);
-      }
-      
-      const sorted = bookmarksList.sort((a, b) => a.uri !== b.uri ? a.uri.localeCompare(b.uri) : a.line - b.line);
-      if (!sorted.length) return;
-      
-      const currentLine = editor.selection.active.line;
-      let idx = sorted.findIndex(b => b.uri === currentUri && b.line === currentLine);
-      idx = (idx + 1) % sorted.length;
-      
-      const nextBm = sorted[idx];
-      try {
-        const isSameFile = (currentUri === nextBm.uri);
-        const doc = await vscode.workspace.openTextDocument(vscode.Uri.parse(nextBm.uri));
-        const ed = await vscode.window.showTextDocument(doc);
-        await revealRangeWithAnimation(ed, nextBm.line, isSameFile, nextBm.group);
-      } catch (error) {
-        vscode.window.showErrorMessage(`Failed to open bookmark: ${error.message}`);
+    vscode.commands.registerCommand("bm.setMark", async (markArg) => {
+      if (!vscode.window.activeTextEditor) return;
+      // Keybindings can pass the mark directly: { "command": "bm.setMark", "args": "a" }
+      const mark = typeof markArg === "string" ? markArg : await vscode.window.showInputBox({
+        prompt: "Mark: a-z for this file, A-Z or 0-9 for the whole workspace",
+        validateInput: (value) => MARK_PATTERN.test(value) ? null : "Enter a single letter or digit"
+      });
+      if (mark === undefined) return;
+      if (!MARK_PATTERN.test(mark)) {
+        return vscode.window.showErrorMessage(`'${mark}' is not a valid mark. Use a-z, A-Z or 0-9.`);
       }
+      await setMark(mark);
     }),
 
-    vscode.commands.registerCommand("bm.prevBookmark", async () => {
-      const editor = vscode.window.activeTextEditor;
-      if (!editor) return;
-      
-      const config = getConfig();
-      const currentUri = editor.document.uri.toString();
-      let bookmarksList = getBookmarks().filter(b => b.group === activeGroup);
-      
-      if (config.allowCrossFileJump === false) {
-        bookmarksList = bookmarksList.filter(b => b.uri === currentUri);
-      }
-      
-      const sorted = bookmarksList.sort((a, b) => a.uri !== b.uri ? a.uri.localeCompare(b.uri) : a.line - b.line);
-      if (!sorted.length) return;
-      
-      const currentLine = editor.selection.active.line;
-      let idx = sorted.findIndex(b => b.uri === currentUri && b.line === currentLine);
-      idx = (idx - 1 + sorted.length) % sorted.length;
-      
-      const prevBm = sorted[idx];
-      try {
-        const isSameFile = (currentUri === prevBm.uri);
-        const doc = await vscode.workspace.openTextDocument(vscode.Uri.parse(prevBm.uri));
-        const ed = await vscode.window.showTextDocument(doc);
-        await revealRangeWithAnimation(ed, prevBm.line, isSameFile, prevBm.group);
-      } catch (error) {
-        vscode.window.showErrorMessage(`Failed to open bookmark: ${error.message}`);
+    vscode.commands.registerCommand("bm.jumpToMark", async (markArg) => {
+      const uri = vscode.window.activeTextEditor?.document.uri.toString();
+      const mark = typeof markArg === "string" ? markArg : (await pickMark(uri, "Jump to mark..."))?.mark;
+      if (mark) await jumpToMark(mark);
+    }),
+
+    // Numbered slots are global marks meant for direct keybindings: { "command": "bm.jumpToSlot", "args": 1 }
+    vscode.commands.registerCommand("bm.jumpToSlot", async (slotArg) => {
+      const uri = vscode.window.activeTextEditor?.document.uri.toString();
+      const slot = slotArg !== undefined && slotArg !== null
+        ? String(slotArg)
+        : (await pickMark(uri, "Jump to slot...", m => /[0-9]/.test(m.mark)))?.mark;
+      if (slot === undefined) return;
+      if (!/^[0-9]$/.test(slot)) {
+        return vscode.window.showErrorMessage(`'${slot}' is not a slot. Use 0-9.`);
       }
+      await jumpToMark(slot);
+    }),
+
+    vscode.commands.registerCommand("bm.deleteMarks", async () => {
+      const uri = vscode.window.activeTextEditor?.document.uri.toString();
+      const marks = marksFor(uri);
+      if (!marks.length) return vscode.window.showInformationMessage("No marks set.");
+      const picked = await vscode.window.showQuickPick(marks.map(markPickItem), {
+        placeHolder: "Select marks to delete",
+        canPickMany: true
+      });
+      if (!picked || !picked.length) return;
+      const doomed = picked.map(item => item.mark);
+      await saveMarks(getMarks().filter(m => !doomed.some(d => d.mark === m.mark && d.uri === m.uri)));
+      throttledUpdateAllDecorations();
+    }),
+
+    vscode.commands.registerCommand("bm.goBack", () => stepJumpHistory(-1)),
+
+    vscode.commands.registerCommand("bm.goForward", () => stepJumpHistory(1)),
+
+    vscode.commands.registerCommand("bm.showJumpHistory", async () => {
+      if (!jumpHistory.length) return vscode.window.showInformationMessage("No jumps yet.");
+      const items = jumpHistory.map((entry, index) => {
+        const u = vscode.Uri.parse(entry.uri);
+        const doc = vscode.workspace.textDocuments.find(d => d.uri.toString() === entry.uri);
+        const content = doc && entry.line < doc.lineCount ? doc.lineAt(entry.line).text.trim() : "";
+        return {
+          label: `${index === jumpIndex ? "$(arrow-right) " : ""}${path.basename(u.fsPath)}:${entry.line + 1}`,
+          description: content,
+          detail: vscode.workspace.asRelativePath(u, true),
+          entry
+        };
+      }).reverse();
+      const picked = await vscode.window.showQuickPick(items, {
+        placeHolder: "Recent jumps, newest first",
+        matchOnDescription: true,
+        matchOnDetail: true
+      });
+      if (!picked) return;
+      settleCurrentStop();
+      jumpIndex = jumpHistory.indexOf(picked.entry);
+      await openJumpEntry(picked.entry);
     }),
 
+    vscode.commands.registerCommand("bm.nextBookmark", () => navigateBookmarks(true)),
+
+    vscode.commands.registerCommand("bm.prevBookmark", () => navigateBookmarks(false)),
+
     vscode.commands.registerCommand("bm.refreshDecorationsFromConfig", async () => {
       await applyConfigChanges();
       vscode.window.showInformationMessage("Bookmark styles refreshed from config.");
     }),
     
-    vscode.commands.registerCommand("bm.moveBookmarkUp", async (node) => {
+    vscode.commands.registerCommand("bm.moveBookmarkUp", recorded("Reorder Bookmark", async (node) => {
       if (!node || !node.bookmark) return;
-      const all = getBookmarks();
-      const idx = all.findIndex(b => b.uri === node.bookmark.uri && b.line === node.bookmark.line && b.group === node.bookmark.group);
-      if (idx > 0) {
-        // Swap with the previous bookmark in the same group
-        let prevIdx = idx - 1;
-        while (prevIdx >= 0 && all[prevIdx].group !== node.bookmark.group) {
-          prevIdx--;
-        }
-        if (prevIdx >= 0) {
-          const temp = all[idx];
-          all[idx] = all[prevIdx];
-          all[prevIdx] = temp;
-          await saveBookmarks(all);
-          groupsProv.refresh();
-          bookmarksProv.refresh();
-        }
-      }
-    }),
+      await swapWithNeighbour(node.bookmark, -1);
+    })),
     
-    vscode.commands.registerCommand("bm.moveBookmarkDown", async (node) => {
+    vscode.commands.registerCommand("bm.moveBookmarkDown", recorded("Reorder Bookmark", async (node) => {
       if (!node || !node.bookmark) return;
-      const all = getBookmarks();
-      const idx = all.findIndex(b => b.uri === node.bookmark.uri && b.line === node.bookmark.line && b.group === node.bookmark.group);
-      if (idx >= 0 && idx < all.length - 1) {
-        // Swap with the next bookmark in the same group
-        let nextIdx = idx + 1;
-        while (nextIdx < all.length && all[nextIdx].group !== node.bookmark.group) {
-          nextIdx++;
-        }
-        if (nextIdx < all.length) {
-          const temp = all[idx];
-          all[idx] = all[nextIdx];
-          all[nextIdx] = temp;
-          await saveBookmarks(all);
-          groupsProv.refresh();
-          bookmarksProv.refresh();
-        }
-      }
-    }),
+      await swapWithNeighbour(node.bookmark, 1);
+    })),
 
     vscode.commands.registerCommand("bm.toggleCrossFileJump", async () => {
       const config = vscode.workspace.getConfiguration("bookmarkExtension");
@@ -1359,95 +5441,120 @@ async function activate(context) {
       vscode.window.showInformationMessage(`Cross-file jumping is now ${!allowed ? "enabled" : "disabled"}.`);
     }),
 
-    vscode.commands.registerCommand("bm.exportBookmarks", async () => {
-      const data = {
-        bookmarks: getBookmarks(),
-        bookmarkGroups: getGroups(),
-        bookmarkGroupOrder: getGroupOrder(),
-        activeBookmarkGroup: getActiveGroup(),
-        hiddenBookmarkGroups: getHiddenGroups()
-      };
+    // Called from a group's context menu the export is limited to that group's subtree
+    vscode.commands.registerCommand("bm.saveStorageBackup", () => saveSchemaBackup()),
+
+    vscode.commands.registerCommand("bm.copyGroupFromBranch", recorded("Copy Group from Branch", () => importGroupFromBranch("copy"))),
+
+    vscode.commands.registerCommand("bm.mergeGroupFromBranch", recorded("Merge Group from Branch", () => importGroupFromBranch("merge"))),
+
+    vscode.commands.registerCommand("bm.deleteBranchSets", () => deleteBranchSets()),
+
+    vscode.commands.registerCommand("bm.exportBookmarks", async (item) => {
+      const format = await vscode.window.showQuickPick(EXPORT_FORMATS, {
+        placeHolder: "Export bookmarks as..."
+      });
+      if (!format) return;
       
+      const scopeGroups = await pickExportScope(item?.group);
+      if (!scopeGroups) return;
+      
+      const bookmarks = getBookmarks().filter(b => scopeGroups.includes(b.group));
       const uri = await vscode.window.showSaveDialog({
-        defaultUri: vscode.Uri.file('bookmarks-export.json'),
-        filters: { 'JSON': ['json'] }
+        defaultUri: vscode.Uri.file(`bookmarks-export.${format.extension}`),
+        filters: { [format.label]: [format.extension] }
       });
+      if (!uri) return;
       
-      if (uri) {
+      try {
+        let text;
+        if (format.id === "json") {
+          text = JSON.stringify(buildJsonExport(bookmarks, scopeGroups), null, 2);
+        } else {
+          const sections = await collectReportSections(bookmarks, scopeGroups);
+          text = format.id === "markdown" ? renderMarkdownReport(sections, uri)
+            : format.id === "csv" ? renderCsvReport(sections)
+            : renderHtmlReport(sections);
+        }
         const fs = require('fs');
-        fs.writeFileSync(uri.fsPath, JSON.stringify(data, null, 2));
-        vscode.window.showInformationMessage("Bookmarks exported successfully!");
+        fs.writeFileSync(uri.fsPath, text);
+        vscode.window.showInformationMessage(`Exported ${bookmarks.length} bookmark${bookmarks.length === 1 ? "" : "s"} to ${path.basename(uri.fsPath)}`);
+      } catch (error) {
+        vscode.window.showErrorMessage(`Failed to export bookmarks: ${error.message}`);
       }
     }),
 
-    vscode.commands.registerCommand("bm.importBookmarks", async () => {
+    vscode.commands.registerCommand("bm.importBookmarks", recorded("Import Bookmarks", async () => {
       const uris = await vscode.window.showOpenDialog({
         canSelectMany: false,
-        filters: { 'JSON': ['json'] }
+        filters: { 'Bookmarks': ['json', 'txt', 'list'], 'All Files': ['*'] }
       });
       
       if (uris && uris[0]) {
         try {
           const fs = require('fs');
           const content = fs.readFileSync(uris[0].fsPath, 'utf8');
-          const data = JSON.parse(content);
+          let data = null;
+          try {
+            data = JSON.parse(content);
+          } catch {
+            // Not JSON: a plain list of locations
+            return await importForeignBookmarks(parseLocationList(content), uris[0]);
+          }
           
-          if (!data.bookmarks || !data.bookmarkGroups) {
+          if (data && Array.isArray(data.files)) {
+            return await importForeignBookmarks(parseFilesFormat(data), uris[0]);
+          }
+          if (!data || !Array.isArray(data.bookmarks) || !data.bookmarkGroups) {
             throw new Error("Invalid bookmark export file format.");
           }
           
-          await saveBookmarks(data.bookmarks);
-          await saveGroups(data.bookmarkGroups);
-          if (data.bookmarkGroupOrder) await saveGroupOrder(data.bookmarkGroupOrder);
-          if (data.activeBookmarkGroup) await setActiveGroup(data.activeBookmarkGroup);
-          if (data.hiddenBookmarkGroups) await saveHiddenGroups(data.hiddenBookmarkGroups);
-          
-          groupsProv.refresh();
-          bookmarksProv.refresh();
-          throttledUpdateAllDecorations();
-          vscode.window.showInformationMessage("Bookmarks imported successfully!");
+          // Files from older versions are upgraded the same way the stored state is
+          await importNativeBookmarks(migrateState(data, schemaVersionOf(data)), uris[0]);
         } catch (e) {
           vscode.window.showErrorMessage(`Failed to import bookmarks: ${e.message}`);
         }
       }
-    }),
+    })),
 
     vscode.commands.registerCommand("bm.showAllBookmarks", async () => {
-      const all = getBookmarks();
+      const all = getBookmarks().filter(matchesTagFilter);
       if (!all.length) {
         return vscode.window.showInformationMessage("No bookmarks found.");
       }
       
       const items = all.map(b => {
-        const fileName = path.basename(vscode.Uri.parse(b.uri).fsPath);
+        const fileName = vscode.workspace.asRelativePath(vscode.Uri.parse(b.uri), true);
+        // Flatten the note onto the detail line so the quick pick filter can match it
+        const note = b.note ? ` — ${b.note.replace(/\s+/g, ' ')}` : "";
+        const tags = (b.tags || []).map(tag => ` #${tag}`).join("");
         return {
-          label: b.content.trim() || `(Line ${b.line + 1})`,
-          description: b.group.replace(/\//g, ' ❯ '),
-          detail: `${fileName}:${b.line + 1}`,
+          label: b.label || b.snippet || b.content.trim() || `(Line ${b.line + 1})`,
+          description: (isGlobalGroup(b.group) ? "$(globe) " : "") + b.group.replace(/\//g, ' ❯ ') + tags,
+          detail: `${fileName}:${b.line + 1}${note}`,
           bookmark: b
         };
       });
       
+      const tagFilter = getTagFilter();
       const selected = await vscode.window.showQuickPick(items, {
-        placeHolder: "Search all bookmarks...",
+        placeHolder: tagFilter ? `Search bookmarks tagged #${tagFilter}...` : "Search all bookmarks...",
         matchOnDescription: true,
         matchOnDetail: true
       });
       
       if (selected) {
         const b = selected.bookmark;
-        try {
-          const editor = vscode.window.activeTextEditor;
-          const isSameFile = editor && editor.document.uri.toString() === b.uri;
-          const doc = await vscode.workspace.openTextDocument(vscode.Uri.parse(b.uri));
-          const ed = await vscode.window.showTextDocument(doc);
-          await revealRangeWithAnimation(ed, b.line, isSameFile, b.group);
-        } catch (e) {
-          vscode.window.showErrorMessage(`Failed to open bookmark: ${e.message}`);
-        }
+        if (await resolveOrphanedBookmark(b)) return;
+        if (await revealBookmark(b)) await markVisited(b);
       }
     }),
 
+    // Global bookmarks may have been changed in another window
+    vscode.window.onDidChangeWindowState((state) => {
+      if (state.focused) reloadGlobalScope();
+    }),
+
     // Optimized configuration change handler
     vscode.workspace.onDidChangeConfiguration(async (e) => {
       if (e.affectsConfiguration("bookmarkExtension.groupColors") ||
@@ -1456,87 +5563,63 @@ async function activate(context) {
           e.affectsConfiguration("bookmarkExtension.scrollAnimation") ||
           e.affectsConfiguration("bookmarkExtension.flashHighlight") ||
           e.affectsConfiguration("bookmarkExtension.allowCrossFileJump") ||
-          e.affectsConfiguration("bookmarkExtension.showBookmarkIconInTree")) {
+          e.affectsConfiguration("bookmarkExtension.showBookmarkIconInTree") ||
+          e.affectsConfiguration("bookmarkExtension.codeLens")) {
         await applyConfigChanges();
         updateCrossFileJumpStatusBar();
         vscode.window.showInformationMessage("🔧 Bookmark Extension settings have been applied.");
       }
-    }),
-
-    // Optimized document change handler with debouncing and edge-case handling
-    vscode.workspace.onDidChangeTextDocument(async (event) => {
-      const changes = event.contentChanges;
-      const doc = event.document;
-      const docUri = doc.uri.toString();
-      if (!changes.length) return;
-      
-      let bms = getBookmarks();
-      let hasChanges = false;
-      
-      // 1. Adjust the line numbers of bookmarks based on line insertions/deletions
-      for (const change of changes) {
-        const startLine = change.range.start.line;
-        const endLine = change.range.end.line;
-        const oldCount = endLine - startLine + 1;
-        const newCount = change.text.split("\n").length;
-        const delta = newCount - oldCount;
-        
-        if (delta !== 0) {
-          for (const bm of bms) {
-            if (bm.uri === docUri) {
-              if (startLine < bm.line) {
-                // The change is above the bookmark, so shift it
-                bm.line = Math.max(0, bm.line + delta);
-                hasChanges = true;
-              } else if (startLine <= bm.line && bm.line <= endLine) {
-                // The change directly overlaps/contains the bookmarked line.
-                // Snap bookmark to startLine of deletion/modification range.
-                bm.line = startLine;
-                hasChanges = true;
-              }
-            }
-          }
-        }
+      if (e.affectsConfiguration("bookmarkExtension.trashRetentionDays")) {
+        isDirtyConfig = true;
+        await purgeExpiredTrash();
       }
-      
-      // 2. Validate all bookmarks for this document (e.g. content updates, duplicate checks, boundary checks)
-      const lineCount = doc.lineCount;
-      const validBms = [];
-      
-      for (const bm of bms) {
-        if (bm.uri === docUri) {
-          if (bm.line < lineCount) {
-            const currentText = doc.lineAt(bm.line).text.trim();
-            if (bm.content !== currentText) {
-              bm.content = currentText;
-              hasChanges = true;
-            }
-            // Check if we already have a bookmark on this line in this group (to avoid duplicates)
-            const isDuplicate = validBms.some(existing => 
-              existing.uri === bm.uri && existing.line === bm.line && existing.group === bm.group
-            );
-            if (!isDuplicate) {
-              validBms.push(bm);
-            } else {
-              hasChanges = true;
-            }
-          } else {
-            // Out of bounds, remove bookmark
-            hasChanges = true;
-          }
-        } else {
-          validBms.push(bm);
-        }
+      if (e.affectsConfiguration("bookmarkExtension.navigationOrder") ||
+          e.affectsConfiguration("bookmarkExtension.navigationScope")) {
+        isDirtyConfig = true;
+        lastNavigated = null;
       }
-      
-      if (hasChanges) {
-        await saveBookmarks(validBms);
-        throttledRefreshTrees();
-        throttledUpdateAllDecorations();
-        throttledUpdateCursorContext();
+      if (e.affectsConfiguration("bookmarkExtension.branchBookmarks")) {
+        isDirtyConfig = true;
+        await watchBranch();
+      }
+      if (e.affectsConfiguration("bookmarkExtension.storage") ||
+          e.affectsConfiguration("bookmarkExtension.storageFile")) {
+        isDirtyConfig = true;
+        selectStorageBackend();
+        await syncWorkspaceLocations();
+        await initializeGroupsAndColors();
+        await refreshAfterStorageChange();
+        await watchBranch();
+        const { storage, storageFile } = getConfig();
+        vscode.window.showInformationMessage(storage === "workspaceFile" && fileBackend
+          ? `🔖 Bookmarks are now stored in ${storageFile}`
+          : "🔖 Bookmarks are now stored in workspace state");
       }
     }),
 
+    // Optimized document change handler with debouncing and edge-case handling
+    vscode.workspace.onDidChangeTextDocument((event) => applyDocumentEdit(event, editTarget)),
+
+    vscode.workspace.onDidOpenTextDocument(reanchorDocument),
+
+    vscode.workspace.onDidRenameFiles(async (event) => {
+      await followRenamedFiles(event);
+      await recheckBookmarks(event.files.map(({ newUri }) => newUri.toString()));
+    }),
+
+    vscode.workspace.onDidChangeWorkspaceFolders(async () => {
+      await syncWorkspaceLocations();
+      groupsProv.refresh();
+      bookmarksProv.refresh();
+      throttledUpdateAllDecorations();
+      throttledUpdateCursorContext();
+    }),
+
+    vscode.workspace.onDidDeleteFiles(async (event) => {
+      await orphanDeletedFiles(event.files);
+      await recheckBookmarks(event.files.map(uri => uri.toString()));
+    }),
+
     vscode.window.onDidChangeActiveTextEditor((editor) => {
       updateDecorations(editor);
       throttledUpdateCursorContext();
@@ -1545,17 +5628,234 @@ async function activate(context) {
     vscode.window.onDidChangeTextEditorSelection(throttledUpdateCursorContext)
   );
 
+  // Re-anchor bookmarks in files changed on disk while they are not open,
+  // and orphan them when a file is deleted outside the editor (e.g. by git)
+  const fileWatcher = vscode.workspace.createFileSystemWatcher("**/*");
+  context.subscriptions.push(
+    fileWatcher,
+    fileWatcher.onDidChange(reanchorAndRecheck),
+    fileWatcher.onDidCreate(reanchorAndRecheck),
+    fileWatcher.onDidDelete(async (uri) => {
+      await orphanDeletedFiles([uri]);
+      await recheckBookmarks([uri.toString()]);
+    })
+  );
+  
+  // Documents restored with the window never fire onDidOpenTextDocument
+  for (const doc of vscode.workspace.textDocuments) {
+    await reanchorDocument(doc);
+  }
+
+  // --- Public API ---
+  // Returned from activate() so other extensions can use it:
+  //   const api = await vscode.extensions.getExtension("HB24.bookmark-extension").activate();
+  // Reads hand out copies. Writes go through the same save-and-refresh path as the
+  // commands and can be undone with BM: Undo; invalid input throws.
+  const PUBLIC_BOOKMARK_FIELDS = ["uri", "line", "column", "endLine", "endColumn", "group", "content", "snippet", "label", "note", "tags", "createdAt", "orphaned"];
+  const uriString = (uri) => typeof uri === "string" ? uri : uri.toString();
+
+  function toPublicBookmark(bm) {
+    const result = {};
+    for (const field of PUBLIC_BOOKMARK_FIELDS) {
+      if (bm[field] !== undefined) result[field] = copyOf(bm[field]);
+    }
+    return result;
+  }
+
+  // Accepts a bookmark from getBookmarks() or anything else with its uri, line and group
+  function findStoredBookmark(ref) {
+    if (!ref || ref.uri === undefined || !isLineNumber(ref.line) || typeof ref.group !== "string") {
+      throw new Error("A bookmark needs a uri, a line and a group");
+    }
+    const key = { ...ref, uri: uriString(ref.uri) };
+    return getBookmarkIndex().atLine(key.uri, key.line).find(b => isSameBookmark(b, key));
+  }
+
+  function checkGroupName(name) {
+    if (typeof name !== "string" || !name || name.split("/").some(part => !part.trim())) {
+      throw new Error(`Invalid group name: ${JSON.stringify(name)}`);
+    }
+  }
+
+  // Creates the group and any missing parents; returns the groups that were created
+  async function createGroupPath(name, color) {
+    const groups = getGroups();
+    const order = getGroupOrder();
+    const created = ensureGroupPath(groups, order, name, (groupPath) =>
+      groupPath === name && color ? color : hslToHex(Math.random() * 360, 70, 80));
+    if (created.length) {
+      await saveGroups(groups);
+      await saveGroupOrder(order);
+      created.forEach(group => ensureDecorationForGroup(group, true));
+    }
+    return created;
+  }
+
+  function refreshViews() {
+    groupsProv.refresh();
+    bookmarksProv.refresh();
+    viewBookmarks.title = `Bookmarks: ${activeGroup}`;
+    throttledUpdateAllDecorations();
+    throttledUpdateCursorContext();
+  }
+
+  const api = {
+    /** Groups in tree order: `{ name, color, active, hidden }`. Sub-groups use `/` in their name. */
+    getGroups() {
+      const groups = getGroups();
+      const hidden = getHiddenGroups();
+      return groupsInTreeOrder(getGroupOrder()).map(name => ({
+        name,
+        color: groups[name],
+        active: name === activeGroup,
+        hidden: hidden.includes(name)
+      }));
+    },
+
+    /** Bookmarks matching `{ group?, includeSubgroups?, uri?, tag? }`; no filter returns all of them. */
+    getBookmarks(filter = {}) {
+      const uri = filter.uri !== undefined ? uriString(filter.uri) : undefined;
+      const tag = typeof filter.tag === "string" ? normalizeTag(filter.tag) : undefined;
+      const inGroup = (b) => filter.group === undefined || b.group === filter.group ||
+        (!!filter.includeSubgroups && b.group.startsWith(filter.group + "/"));
+      return getBookmarks()
+        .filter(b => inGroup(b) && (uri === undefined || b.uri === uri) && (tag === undefined || (b.tags || []).includes(tag)))
+        .map(toPublicBookmark);
+    },
+
+    /**
+     * Adds a bookmark at `{ uri, line }` (or on a `range`) to `group`, the active group by
+     * default. Missing groups are created. Returns the new bookmark, or the existing one.
+     */
+    addBookmark(options) {
+      return recordOperation("Add Bookmark", async () => {
+        if (!options || options.uri === undefined) throw new Error("addBookmark needs a uri");
+        const uri = uriString(options.uri);
+        const group = options.group || activeGroup;
+        checkGroupName(group);
+        
+        const doc = await vscode.workspace.openTextDocument(vscode.Uri.parse(uri));
+        const range = options.range;
+        const line = range ? range.start.line : options.line;
+        if (!isLineNumber(line) || line >= doc.lineCount) {
+          throw new Error(`Line ${line} is outside ${uri}`);
+        }
+        const isRange = !!range && (range.start.line !== range.end.line || range.start.character !== range.end.character);
+        const spot = isRange ? { column: range.start.character, endLine: range.end.line, endColumn: range.end.character } : {};
+        
+        await createGroupPath(group);
+        const all = getBookmarks();
+        const existing = all.find(b => isSameBookmark(b, { uri, line, group, ...spot }));
+        if (existing) return toPublicBookmark(existing);
+        
+        const bm = {
+          uri,
+          line,
+          content: doc.lineAt(line).text.trim(),
+          group,
+          ...spot,
+          anchor: captureAnchor((i) => doc.lineAt(i).text, doc.lineCount, line),
+          createdAt: Date.now()
+        };
+        if (isRange) bm.snippet = makeSnippet(doc.getText(range));
+        if (typeof options.label === "string" && options.label) bm.label = options.label;
+        if (typeof options.note === "string" && options.note) bm.note = options.note;
+        if (isStringList(options.tags)) {
+          const tags = [...new Set(options.tags.map(normalizeTag).filter(Boolean))];
+          if (tags.length) bm.tags = tags;
+        }
+        all.push(updateWorkspaceLocation(bm));
+        await saveBookmarks(all);
+        refreshViews();
+        return toPublicBookmark(bm);
+      });
+    },
+
+    /** Moves a bookmark to Recently Deleted. Returns false when there was no such bookmark. */
+    removeBookmark(bookmark) {
+      return recordOperation("Remove Bookmark", async () => {
+        const stored = findStoredBookmark(bookmark);
+        if (!stored) return false;
+        await trashBookmarks([stored], "removed");
+        await saveBookmarks(getBookmarks().filter(b => b !== stored));
+        refreshViews();
+        return true;
+      });
+    },
+
+    /**
+     * Moves a bookmark to another group, creating the group if needed. Returns the moved
+     * bookmark, or undefined when there was no such bookmark.
+     */
+    moveBookmark(bookmark, group) {
+      return recordOperation("Move Bookmark", async () => {
+        checkGroupName(group);
+        const stored = findStoredBookmark(bookmark);
+        if (!stored) return undefined;
+        
+        await createGroupPath(group);
+        let all = getBookmarks();
+        // The target group already has this bookmark, so the two simply merge
+        const existing = all.find(b => isSameBookmark(b, { ...stored, group }));
+        if (existing) {
+          all = all.filter(b => b !== stored);
+        } else {
+          stored.group = group;
+        }
+        await saveBookmarks(all);
+        refreshViews();
+        return toPublicBookmark(existing || stored);
+      });
+    },
+
+    /** Creates a group (and its missing parents) without switching to it. `color` is a hex color. */
+    createGroup(name, color) {
+      return recordOperation("Create Group", async () => {
+        checkGroupName(name);
+        if (color !== undefined && !HEX_COLOR.test(color)) {
+          throw new Error(`Invalid color: ${JSON.stringify(color)}`);
+        }
+        await createGroupPath(name, color);
+        refreshViews();
+        return name;
+      });
+    },
+
+    /** Makes an existing group the active one. */
+    async setActiveGroup(name) {
+      if (!getGroups()[name]) throw new Error(`No group named ${JSON.stringify(name)}`);
+      await setActiveGroup(name);
+      refreshViews();
+    },
+
+    /** Fires (once per burst of changes) when bookmarks, groups or the active group change. */
+    onDidChangeBookmarks: bookmarksChanged.event
+  };
+
   // Initial render
   updateAllDecorations();
   throttledUpdateCursorContext();
   updateCrossFileJumpStatusBar();
+  bookmarksChanged.event(forgetResolvedProblems);
+  recheckBookmarks();
   
   // Cleanup function for timeouts
   context.subscriptions.push({
     dispose: () => {
+      workspaceBackend.flush();
+      if (fileBackend) {
+        fileBackend.flush();
+      }
+      if (storageWatcher) {
+        storageWatcher.dispose();
+      }
+      stopBranchWatch();
       if (crossFileJumpStatusBarItem) {
         crossFileJumpStatusBarItem.dispose();
       }
+      if (validationStatusBarItem) {
+        validationStatusBarItem.dispose();
+      }
       if (decorationUpdateTimeout) {
         clearTimeout(decorationUpdateTimeout);
       }
@@ -1571,19 +5871,36 @@ async function activate(context) {
       if (tempHighlightDecoration) {
         tempHighlightDecoration.dispose();
       }
+      if (changeEventTimeout) {
+        clearTimeout(changeEventTimeout);
+      }
+      bookmarksChanged.dispose();
       // Clear caches
       colorCache.clear();
       alphaCache.clear();
       iconCache.clear();
       // Dispose decorations
-      for (const decoration of decorationTypes.values()) {
-        decoration.dispose();
-      }
-      decorationTypes.clear();
+      disposeAllDecorations();
     }
   });
+
+  return api;
 }
 
 function deactivate() {}
 
-module.exports = { activate, deactivate };
\ No newline at end of file
+module.exports = {
+  activate,
+  deactivate,
+  // Used by the tests
+  SCHEMA_VERSION,
+  schemaVersionOf,
+  migrateState,
+  BookmarkStore,
+  updateBookmarksForEdit,
+  createDeferredState,
+  createFileBackend,
+  applyDocumentEdit,
+  diffEntryTexts,
+  revertEntryTexts
+};
\ No newline at end of file
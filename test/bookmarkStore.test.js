@@ -0,0 +1,296 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const vscode = require('vscode');
+
+const { BookmarkStore, updateBookmarksForEdit, createDeferredState, createFileBackend, applyDocumentEdit } = require('../extension');
+
+const HOT_FILE = 'file:///project/hot.js';
+const HOT_BOOKMARKS = 50;
+const KEYSTROKES = 300;
+
+// Just enough of a TextDocument for updateBookmarksForEdit
+function makeDocument(lines) {
+	return {
+		lines,
+		get lineCount() {
+			return lines.length;
+		},
+		lineAt: (i) => ({ text: lines[i] }),
+		getText: (range) => lines.slice(range.start.line, range.end.line + 1).join('\n'),
+		validateRange: (range) => range
+	};
+}
+
+// `total` bookmarks spread over many files, HOT_BOOKMARKS of them in the file being edited
+function generateBookmarks(total) {
+	const bookmarks = [];
+	for (let i = 0; i < total; i++) {
+		const hot = i < HOT_BOOKMARKS;
+		const line = hot ? i * 4 : i % 500;
+		bookmarks.push({
+			uri: hot ? HOT_FILE : `file:///project/src/file${i % 400}.js`,
+			line,
+			content: `line ${line}`,
+			group: `Group ${i % 8}`
+		});
+	}
+	return bookmarks;
+}
+
+const insertLine = (line) => ({ range: new vscode.Range(line, 0, line, 0), text: 'inserted\n' });
+
+suite('Indexed bookmark store', () => {
+	test('Looks bookmarks up by file, group and line in stored order', () => {
+		const a = { uri: 'file:///a.js', line: 1, content: '', group: 'X' };
+		const b = { uri: 'file:///b.js', line: 1, content: '', group: 'Y' };
+		const c = { uri: 'file:///a.js', line: 5, content: '', group: 'Y' };
+		const store = new BookmarkStore([a, b, c]);
+
+		assert.deepStrictEqual(store.inFile('file:///a.js'), [a, c]);
+		assert.deepStrictEqual(store.inGroup('Y'), [b, c]);
+		assert.deepStrictEqual(store.atLine('file:///a.js', 5), [c]);
+		assert.deepStrictEqual(store.atLine('file:///a.js', 2), []);
+		assert.deepStrictEqual(store.inFile('file:///missing.js'), []);
+	});
+
+	test('Line lookups follow bookmarks moved in place once the file is reindexed', () => {
+		const bm = { uri: 'file:///a.js', line: 1, content: '', group: 'X' };
+		const store = new BookmarkStore([bm]);
+		bm.line = 7;
+		store.reindexFile('file:///a.js');
+
+		assert.deepStrictEqual(store.atLine('file:///a.js', 1), []);
+		assert.deepStrictEqual(store.atLine('file:///a.js', 7), [bm]);
+	});
+});
+
+suite('Updating bookmarks after an edit', () => {
+	test('Shifts the bookmarks below an inserted line and refreshes their content', () => {
+		const doc = makeDocument(['a', 'b', 'c']);
+		const above = { uri: HOT_FILE, line: 0, content: 'a', group: 'X' };
+		const below = { uri: HOT_FILE, line: 2, content: 'c', group: 'X' };
+		const inDoc = [above, below];
+		updateBookmarksForEdit(inDoc, [], doc);
+
+		doc.lines.splice(1, 0, 'new');
+		const { changed, outOfBounds, duplicate } = updateBookmarksForEdit(inDoc, [insertLine(1)], doc);
+
+		assert.strictEqual(below.line, 3);
+		assert.strictEqual(below.content, 'c');
+		assert.deepStrictEqual(changed, [above, below]);
+		assert.deepStrictEqual([outOfBounds, duplicate], [[], []]);
+	});
+
+	test('Reports bookmarks past the end and merged duplicates as dropped', () => {
+		const doc = makeDocument(['a', 'b']);
+		const first = { uri: HOT_FILE, line: 1, content: 'b', group: 'X' };
+		const second = { uri: HOT_FILE, line: 1, content: 'b', group: 'X' };
+		const otherGroup = { uri: HOT_FILE, line: 1, content: 'b', group: 'Y' };
+		const gone = { uri: HOT_FILE, line: 4, content: 'e', group: 'X' };
+		const { outOfBounds, duplicate } = updateBookmarksForEdit([first, second, otherGroup, gone], [], doc);
+
+		assert.deepStrictEqual(outOfBounds, [gone]);
+		assert.deepStrictEqual(duplicate, [second]);
+	});
+});
+
+// Behaves like VS Code's Memento: get() returns the stored objects themselves, and every
+// update() writes the whole state, whichever key changed
+function makeMemento(initial = {}) {
+	const values = { ...initial };
+	const memento = {
+		writes: 0,
+		written: 0,
+		get: (key, fallback) => (values[key] !== undefined ? values[key] : fallback),
+		update: async (key, value) => {
+			values[key] = value;
+			memento.writes++;
+			memento.written += JSON.stringify(values).length;
+		},
+		// What the next window starts from
+		reopen: () => makeMemento(JSON.parse(JSON.stringify(values)))
+	};
+	return memento;
+}
+
+const NEVER = 60 * 60 * 1000;
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+suite('Deferred workspace state', () => {
+	test('Hands out copies, so lists edited in place reach the store only when saved', async () => {
+		const memento = makeMemento({ bookmarks: [{ line: 1 }, { line: 2 }] });
+		const state = createDeferredState(memento, NEVER);
+		const list = state.get('bookmarks', []);
+		list[0].line = 10;
+
+		assert.deepStrictEqual(memento.get('bookmarks').map(b => b.line), [1, 2]);
+		assert.deepStrictEqual(createDeferredState(memento.reopen(), NEVER).get('bookmarks', []).map(b => b.line), [1, 2]);
+
+		state.updateLater('bookmarks', list);
+		assert.deepStrictEqual(state.get('bookmarks', []).map(b => b.line), [10, 2]);
+		await state.flush();
+		list[1].line = 20;
+		assert.deepStrictEqual(createDeferredState(memento.reopen(), NEVER).get('bookmarks', []).map(b => b.line), [10, 2]);
+	});
+
+	test('Writes saves made in quick succession once, after a pause', async () => {
+		const memento = makeMemento({ bookmarks: [{ line: 1 }] });
+		const state = createDeferredState(memento, 20);
+		const list = state.get('bookmarks', []);
+		for (let line = 2; line < 12; line++) {
+			list[0].line = line;
+			state.updateLater('bookmarks', list);
+		}
+		assert.strictEqual(memento.writes, 0);
+
+		await sleep(60);
+		assert.strictEqual(memento.writes, 1);
+		assert.strictEqual(memento.get('bookmarks')[0].line, 11);
+	});
+
+	test('A direct update replaces a save that is still waiting', async () => {
+		const memento = makeMemento({ bookmarks: [] });
+		const state = createDeferredState(memento, NEVER);
+		state.updateLater('bookmarks', [{ line: 1 }]);
+		await state.update('bookmarks', [{ line: 2 }]);
+		await state.flush();
+
+		assert.strictEqual(memento.writes, 1);
+		assert.deepStrictEqual(memento.get('bookmarks'), [{ line: 2 }]);
+	});
+});
+
+// Replays typing above the HOT_BOOKMARKS bookmarks of one file through the edit handler and the
+// deferred workspace state, with `total` bookmarks stored, and records the work and time per keystroke
+async function replayTyping(total) {
+	const memento = makeMemento({ bookmarks: generateBookmarks(total) });
+	const state = createDeferredState(memento, NEVER);
+	const bookmarks = state.get('bookmarks', []);
+	const index = new BookmarkStore(bookmarks);
+	const doc = makeDocument(Array.from({ length: HOT_BOOKMARKS * 4 }, (_, i) => `line ${i}`));
+	doc.uri = { toString: () => HOT_FILE };
+	doc.isDirty = true;
+	const work = { shifted: 0, saved: 0, dropped: 0, refreshed: 0 };
+	const workspace = {
+		ignores: () => false,
+		shiftPositions: async () => {
+			work.shifted++;
+		},
+		index: () => index,
+		dropBookmarks: async () => {
+			work.dropped++;
+		},
+		saveChanges: async (uri, changed) => {
+			work.saved += changed.length;
+			index.reindexFile(uri);
+			state.updateLater('bookmarks', bookmarks);
+		},
+		refresh: () => {
+			work.refreshed++;
+		}
+	};
+
+	const times = [];
+	for (let k = 0; k < KEYSTROKES; k++) {
+		doc.lines.unshift(`typed ${k}`);
+		const start = process.hrtime.bigint();
+		await applyDocumentEdit({ document: doc, contentChanges: [insertLine(0)] }, workspace);
+		times.push(Number(process.hrtime.bigint() - start));
+	}
+	const writesWhileTyping = memento.writes;
+	await state.flush();
+	times.sort((a, b) => a - b);
+	return {
+		work,
+		writesWhileTyping,
+		writes: memento.writes,
+		medianNs: times[Math.floor(times.length / 2)],
+		restarted: createDeferredState(memento.reopen(), NEVER).get('bookmarks', [])
+	};
+}
+
+suite('Typing with large bookmark sets', function () {
+	this.timeout(60000);
+
+	test('Each keystroke touches only the edited file\'s bookmarks and nothing is written until typing pauses', async () => {
+		for (const total of [1000, 10000]) {
+			const { work, writesWhileTyping, writes } = await replayTyping(total);
+			assert.deepStrictEqual(work, { shifted: KEYSTROKES, saved: KEYSTROKES * HOT_BOOKMARKS, dropped: 0, refreshed: KEYSTROKES });
+			assert.strictEqual(writesWhileTyping, 0);
+			assert.strictEqual(writes, 1);
+		}
+	});
+
+	test('Keystroke time does not grow with the number of bookmarks', async () => {
+		// Warm up, so the first run does not pay for the JIT
+		await replayTyping(1000);
+		const small = await replayTyping(1000);
+		const large = await replayTyping(10000);
+
+		// Ten times the bookmarks; a handler that looked at all of them would take about ten times as long
+		assert.ok(large.medianNs < small.medianNs * 3 + 200000,
+			`median keystroke took ${(large.medianNs / 1e6).toFixed(3)} ms with 10k bookmarks and ${(small.medianNs / 1e6).toFixed(3)} ms with 1k`);
+	});
+
+	test('The positions are there after a restart', async () => {
+		const { restarted } = await replayTyping(10000);
+		const hot = restarted.filter(bm => bm.uri === HOT_FILE);
+
+		assert.strictEqual(restarted.length, 10000);
+		// The first one sits at the very start, where the text is inserted, so it stays on line 0
+		assert.deepStrictEqual(hot.slice(0, 3).map(bm => [bm.line, bm.content]), [
+			[0, `typed ${KEYSTROKES - 1}`],
+			[KEYSTROKES + 4, 'line 4'],
+			[KEYSTROKES + 8, 'line 8']
+		]);
+	});
+});
+
+suite('Shared bookmarks file', () => {
+	const PROJECT = 'file:///project/';
+	let folder;
+
+	setup(() => {
+		folder = fs.mkdtempSync(path.join(os.tmpdir(), 'bookmarks-'));
+	});
+
+	teardown(() => {
+		fs.rmSync(folder, { recursive: true, force: true });
+	});
+
+	const openBackend = (memento) => createFileBackend(vscode.Uri.file(folder), '.vscode/bookmarks.json', {
+		localState: createDeferredState(memento, NEVER),
+		toPortable: ({ uri, ...rest }) => ({ folder: 'project', path: uri.slice(PROJECT.length), ...rest }),
+		fromPortable: (stored) => {
+			const { path: relPath, ...rest } = stored;
+			delete rest.folder;
+			return { uri: PROJECT + relPath, ...rest };
+		},
+		writeDelay: NEVER
+	});
+
+	test('Keeps local fields out of the file and restores them on reload', async () => {
+		const anchor = { text: 'const a = 1;', before: '', after: 'const b = 2;' };
+		// Imported together, so both have the same creation time
+		const bookmarks = [
+			{ uri: PROJECT + 'a.js', line: 0, content: 'const a = 1;', group: 'Default', createdAt: 1000, anchor, visitedAt: 2000 },
+			{ uri: PROJECT + 'a.js', line: 5, content: 'gone();', group: 'Default', createdAt: 1000, anchorLost: true, orphaned: true },
+			{ uri: PROJECT + 'b.js', line: 3, content: 'b();', group: 'Default', createdAt: 1000 }
+		];
+		const memento = makeMemento();
+		const backend = openBackend(memento);
+		await backend.update('bookmarks', JSON.parse(JSON.stringify(bookmarks)));
+		backend.flush();
+
+		const shared = JSON.parse(fs.readFileSync(backend.fileUri.fsPath, 'utf8'));
+		for (const stored of shared.bookmarks) {
+			assert.deepStrictEqual(['visitedAt', 'anchor', 'anchorLost', 'orphaned'].filter(field => field in stored), []);
+		}
+
+		const reopened = openBackend(memento.reopen());
+		assert.strictEqual(reopened.reload(), true);
+		assert.deepStrictEqual(reopened.get('bookmarks'), bookmarks);
+	});
+});
@@ -0,0 +1,40 @@
+const assert = require('assert');
+
+const { diffEntryTexts, revertEntryTexts } = require('../extension');
+
+const texts = (...entries) => entries.map(entry => JSON.stringify(entry));
+const bookmark = (line, group = 'Default') => ({ uri: 'file:///a.js', line, content: 'x', group, createdAt: 100 + line });
+
+suite('Undo history entries', () => {
+	test('A diff holds only the entries that were removed and added', () => {
+		const before = texts('a', 'b', 'c');
+		const after = texts('a', 'c', 'd');
+
+		assert.deepStrictEqual(diffEntryTexts(before, after), {
+			removed: [[1, '"b"']],
+			added: [[2, '"d"']]
+		});
+		assert.deepStrictEqual(diffEntryTexts(before, before), { removed: [], added: [] });
+	});
+
+	test('Undo and redo restore the list around the change', () => {
+		const before = texts('a', 'b', 'c');
+		const after = texts('a', 'c', 'd');
+		const change = diffEntryTexts(before, after);
+
+		assert.deepStrictEqual(revertEntryTexts('bookmarkGroupOrder', after, change), before);
+		assert.deepStrictEqual(revertEntryTexts('bookmarkGroupOrder', before, { removed: change.added, added: change.removed }), after);
+	});
+
+	test('Changes made after the recorded one are kept', () => {
+		const change = diffEntryTexts(texts('a'), texts('a', 'b'));
+		assert.deepStrictEqual(revertEntryTexts('bookmarkGroupOrder', texts('z', 'a', 'b', 'c'), change), texts('z', 'a', 'c'));
+	});
+
+	test('A bookmark that moved since it was added is still found', () => {
+		const change = diffEntryTexts(texts(bookmark(1)), texts(bookmark(1), bookmark(5, 'Bugs')));
+		const shifted = texts(bookmark(2), { ...bookmark(5, 'Bugs'), line: 9 });
+
+		assert.deepStrictEqual(revertEntryTexts('bookmarks', shifted, change), texts(bookmark(2)));
+	});
+});
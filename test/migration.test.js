@@ -0,0 +1,130 @@
+const assert = require('assert');
+
+const { SCHEMA_VERSION, schemaVersionOf, migrateState } = require('../extension');
+
+// The layout written before storage was versioned: bare keys, no `version`
+function unversionedState() {
+	return {
+		bookmarks: [
+			{ uri: 'file:///project/a.js', line: 3, content: 'const a = 1;', group: 'Default' },
+			{ uri: 'file:///project/b.js', line: 10, content: 'run();', group: 'Bugs/Backend', label: 'Crash', tags: ['bug', 'bug', ''] },
+			{ folder: 'project', path: 'src/c.js', line: 0, content: 'x', group: 'Bugs' }
+		],
+		bookmarkGroups: { Default: '#fff59d', Bugs: '#ef9a9a', 'Bugs/Backend': '#ffcc80' },
+		bookmarkGroupOrder: ['Bugs', 'Default', 'Bugs/Backend'],
+		activeBookmarkGroup: 'Bugs',
+		hiddenBookmarkGroups: ['Default']
+	};
+}
+
+suite('Storage schema migrations', () => {
+	test('Data without a version is version 0', () => {
+		assert.strictEqual(schemaVersionOf(unversionedState()), 0);
+		assert.strictEqual(schemaVersionOf({ version: 1, bookmarks: [] }), 1);
+		assert.strictEqual(schemaVersionOf(undefined), 0);
+	});
+
+	test('Upgrading the unversioned layout keeps every bookmark and group', () => {
+		const before = unversionedState();
+		const after = migrateState(unversionedState(), 0);
+
+		assert.deepStrictEqual(after.bookmarks.map(b => [b.group, b.line]), [['Default', 3], ['Bugs/Backend', 10], ['Bugs', 0]]);
+		assert.deepStrictEqual(after.bookmarkGroups, before.bookmarkGroups);
+		assert.deepStrictEqual(after.bookmarkGroupOrder, before.bookmarkGroupOrder);
+		assert.strictEqual(after.bookmarks[1].label, 'Crash');
+		assert.deepStrictEqual(after.bookmarks[2], before.bookmarks[2]);
+	});
+
+	test('Keys outside the schema pass through', () => {
+		const after = migrateState(unversionedState(), 0);
+		assert.strictEqual(after.activeBookmarkGroup, 'Bugs');
+		assert.deepStrictEqual(after.hiddenBookmarkGroups, ['Default']);
+	});
+
+	test('Does not change its input', () => {
+		const state = unversionedState();
+		migrateState(state, 0);
+		assert.deepStrictEqual(state, unversionedState());
+	});
+
+	test('Tags are de-duplicated and empty tags dropped', () => {
+		const after = migrateState(unversionedState(), 0);
+		assert.deepStrictEqual(after.bookmarks[1].tags, ['bug']);
+
+		const state = unversionedState();
+		state.bookmarks[0].tags = ['', 42];
+		assert.strictEqual('tags' in migrateState(state, 0).bookmarks[0], false);
+	});
+
+	test('Missing groups, parents and order entries are filled in', () => {
+		const state = {
+			bookmarks: [{ uri: 'file:///a.js', line: 1, content: 'a', group: 'Review/UI' }],
+			bookmarkGroups: { Default: '#fff59d' },
+			bookmarkGroupOrder: ['Gone', 'Default', 'Default']
+		};
+		const after = migrateState(state, 0);
+
+		assert.deepStrictEqual(Object.keys(after.bookmarkGroups), ['Default', 'Review', 'Review/UI']);
+		assert.deepStrictEqual(after.bookmarkGroupOrder, ['Default', 'Review', 'Review/UI']);
+	});
+
+	test('Bookmarks get content and a group when they lack them', () => {
+		const after = migrateState({ bookmarks: [{ uri: 'file:///a.js', line: 2 }] }, 0);
+
+		assert.deepStrictEqual(after.bookmarks, [{ uri: 'file:///a.js', line: 2, content: '', group: 'Default' }]);
+		assert.ok(after.bookmarkGroups.Default);
+		assert.deepStrictEqual(after.bookmarkGroupOrder, ['Default']);
+	});
+
+	test('Entries without a location are dropped', () => {
+		const state = unversionedState();
+		state.bookmarks.push(null, { line: 4, content: 'x', group: 'Default' }, { uri: 'file:///a.js', line: -1, group: 'Default' });
+		assert.strictEqual(migrateState(state, 0).bookmarks.length, 3);
+	});
+
+	test('A half-written range becomes a line bookmark', () => {
+		const state = unversionedState();
+		Object.assign(state.bookmarks[0], { column: 2, endLine: 4, snippet: 'a = 1' });
+		const bm = migrateState(state, 0).bookmarks[0];
+
+		assert.deepStrictEqual(bm, { uri: 'file:///project/a.js', line: 3, content: 'const a = 1;', group: 'Default' });
+	});
+
+	test('Complete ranges are kept', () => {
+		const state = unversionedState();
+		Object.assign(state.bookmarks[0], { column: 2, endLine: 4, endColumn: 1, snippet: 'a = 1' });
+		assert.deepStrictEqual(migrateState(state, 0).bookmarks[0], state.bookmarks[0]);
+	});
+
+	test('A workspace group named Global is renamed to make room for the shared scope', () => {
+		const state = unversionedState();
+		state.bookmarks[0].group = 'Global/Notes';
+		state.bookmarkGroups = { Global: '#ffffff', 'Global/Notes': '#eeeeee', Globals: '#dddddd' };
+		state.bookmarkGroupOrder = ['Global', 'Global/Notes', 'Globals'];
+		state.activeBookmarkGroup = 'Global/Notes';
+		state.hiddenBookmarkGroups = ['Global'];
+		const after = migrateState(state, 1);
+
+		assert.strictEqual(after.bookmarks[0].group, 'Global (Workspace)/Notes');
+		assert.deepStrictEqual(after.bookmarkGroups, { 'Global (Workspace)': '#ffffff', 'Global (Workspace)/Notes': '#eeeeee', Globals: '#dddddd' });
+		assert.deepStrictEqual(after.bookmarkGroupOrder, ['Global (Workspace)', 'Global (Workspace)/Notes', 'Globals']);
+		assert.strictEqual(after.activeBookmarkGroup, 'Global (Workspace)/Notes');
+		assert.deepStrictEqual(after.hiddenBookmarkGroups, ['Global (Workspace)']);
+	});
+
+	test('Current data is returned as is', () => {
+		const state = { version: SCHEMA_VERSION, bookmarks: [{ uri: 'file:///a.js', line: 1 }], bookmarkGroups: {}, bookmarkGroupOrder: [] };
+		assert.strictEqual(migrateState(state, SCHEMA_VERSION), state);
+	});
+
+	test('Damaged data cannot be upgraded', () => {
+		assert.throws(() => migrateState({ bookmarks: 'nope' }, 0), /bookmarks is not a list/);
+		assert.throws(() => migrateState({ bookmarks: [], bookmarkGroups: [] }, 0), /bookmarkGroups is not an object/);
+		assert.throws(() => migrateState(null, 0), /not an object/);
+	});
+
+	test('Data from a newer or unknown version is refused', () => {
+		assert.throws(() => migrateState(unversionedState(), SCHEMA_VERSION + 1), /newer version/);
+		assert.throws(() => migrateState(unversionedState(), '1'), /Unknown schema version/);
+	});
+});